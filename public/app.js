@@ -15,10 +15,24 @@
   let pieceIdSeq = 1;
   let boardGrid = null;
   let renderer = null;
+  // keys ('q,r') of board cells marked as locked/unusable by the user
+  let blockedCells = new Set();
+  // keys of the cells making up a custom (painted) board shape
+  let boardMask = new Set();
+  let paintingMask = false;
+  // pieces the user placed by hand; the solver fills around them
+  let pinnedPlacements = []; // [{piece, anchor: {q,r}, rot, pinned: true}]
+  // id of the piece loaded into the editor to be changed in place, or null
+  let editingPieceId = null;
+  // editing the displayed solution by hand; index of the selected placement
+  let editingSolution = false;
+  let selectedPlacement = -1;
+  // placement of the step highlighted on the board (its stepKey), or null
+  let highlightedStep = null;
 
   // Solver state
   let solverRunning = false;
-  let solverShouldStop = false;
+  let stopSolver = null; // asks the running search to wind down and report
   let workers = [];
   let topSolutions = []; // All solutions tied for best coverage
   let currentSolutionIndex = 0; // Current solution being displayed
@@ -27,44 +41,138 @@
   const editorGridEl = document.getElementById('editor-grid');
   const colorInputs = document.querySelectorAll('.color-choice');
   const addPieceBtn = document.getElementById('add-piece');
+  const cancelEditBtn = document.getElementById('cancel-edit');
   const piecesList = document.getElementById('pieces-list');
   const boardW = document.getElementById('board-w');
   const boardH = document.getElementById('board-h');
+  const boardShapeSelect = document.getElementById('board-shape');
+  const boardRadius = document.getElementById('board-radius');
+  const paintMaskBtn = document.getElementById('paint-mask');
+  const boardHint = document.getElementById('board-hint');
   const solveBtn = document.getElementById('solve');
+  const resumeBtn = document.getElementById('resume-solve');
   const clearBtn = document.getElementById('clear-solution');
+  const editSolutionBtn = document.getElementById('edit-solution');
+  const solutionEditTools = document.getElementById('solution-edit-tools');
+  const solutionEditStatus = document.getElementById('solution-edit-status');
+  const solutionStepsEl = document.getElementById('solution-steps');
+  const solutionStepsList = document.getElementById('solution-steps-list');
   const boardContainer = document.getElementById('board-container');
   const highContrastCheckbox = document.getElementById('high-contrast');
   const allowRotationsCheckbox = document.getElementById('allow-rotations');
+  const allowReflectionsCheckbox = document.getElementById('allow-reflections');
+  const objectiveSelect = document.getElementById('objective');
+  const solverModeSelect = document.getElementById('solver-mode');
+  const timeLimitInput = document.getElementById('time-limit');
+  const nodeLimitInput = document.getElementById('node-limit');
   const solverStatsEl = document.getElementById('solver-stats');
   const statsStatus = document.getElementById('stats-status');
   const statsCount = document.getElementById('stats-count');
   const statsCoverage = document.getElementById('stats-coverage');
   const statsPieces = document.getElementById('stats-pieces');
   const statsTime = document.getElementById('stats-time');
+  const statsTasks = document.getElementById('stats-tasks');
+  const statsProvenLabel = document.getElementById('stats-proven-label');
+  const statsProven = document.getElementById('stats-proven');
+  const statsTilingsRow = document.getElementById('stats-tilings-row');
+  const statsTilings = document.getElementById('stats-tilings');
+  const statsPrunedRow = document.getElementById('stats-pruned-row');
+  const statsPruned = document.getElementById('stats-pruned');
+  const statsTableRow = document.getElementById('stats-table-row');
+  const statsTable = document.getElementById('stats-table');
   const solutionCyclingEl = document.getElementById('solution-cycling');
   const solutionCounter = document.getElementById('solution-counter');
   const prevSolutionBtn = document.getElementById('prev-solution');
   const nextSolutionBtn = document.getElementById('next-solution');
+  const exportCollectionBtn = document.getElementById('export-collection');
+  const importCollectionBtn = document.getElementById('import-collection');
+  const importFileInput = document.getElementById('import-file');
+  const importModeSelect = document.getElementById('import-mode');
+  const collectionHint = document.getElementById('collection-hint');
+  const shareLinkBtn = document.getElementById('share-link');
+  const shareSolutionCheckbox = document.getElementById('share-solution');
+  const shareLinkInput = document.getElementById('share-link-url');
+  const profileSelect = document.getElementById('profile-select');
+  const newProfileBtn = document.getElementById('new-profile');
+  const renameProfileBtn = document.getElementById('rename-profile');
+  const duplicateProfileBtn = document.getElementById('duplicate-profile');
+  const deleteProfileBtn = document.getElementById('delete-profile');
+  const undoBtn = document.getElementById('undo');
+  const redoBtn = document.getElementById('redo');
+  // how many perfect tilings the exact cover mode keeps for display
+  const TILING_LIST_LIMIT = 1000;
+  // why a search ended before it was exhausted
+  const STOP_REASONS = { user: 'stopped', time: 'time limit reached', nodes: 'state limit reached' };
+  // how often a running search saves a checkpoint
+  const CHECKPOINT_INTERVAL_MS = 30000;
   // fixed hex size for all grids
   const HEX_SIZE = 24;
   const PREVIEW_SIZE = 8;
   // editor grid dimensions (change these to alter piece editor and previews)
   const EDITOR_GRID_W = 7;
   const EDITOR_GRID_H = 5;
+  // ints per placement in the packed placementsMeta array (see solver-worker.js)
+  const META_STRIDE = 7;
 
   // no unused vars
 
   function init(){
     buildEditor();
     addPieceBtn.addEventListener('click', onAddPiece);
+    cancelEditBtn.addEventListener('click', cancelPieceEdit);
     solveBtn.addEventListener('click', onSolve);
+    resumeBtn.addEventListener('click', onResume);
     clearBtn.addEventListener('click', onClear);
+    editSolutionBtn.addEventListener('click', onToggleEditSolution);
+    document.getElementById('export-svg').addEventListener('click', onExportSvg);
+    document.getElementById('export-png').addEventListener('click', onExportPng);
+    document.getElementById('prev-step').addEventListener('click', () => moveStepHighlight(-1));
+    document.getElementById('next-step').addEventListener('click', () => moveStepHighlight(1));
+    document.getElementById('copy-steps').addEventListener('click', onCopySteps);
+    document.getElementById('rotate-placement').addEventListener('click', () => rotateSelected());
+    document.getElementById('flip-placement').addEventListener('click', () => flipSelected());
+    document.getElementById('remove-placement').addEventListener('click', () => removeSelected());
+    document.addEventListener('keydown', onSolutionEditKey);
     highContrastCheckbox.addEventListener('change', () => {
+      saveOptions();
       renderBoard();
       renderPiecesList();
     });
+    allowRotationsCheckbox.addEventListener('change', () => {
+      saveOptions();
+      renderPiecesList();
+    });
+    allowReflectionsCheckbox.addEventListener('change', () => {
+      saveOptions();
+      renderPiecesList();
+    });
+    objectiveSelect.addEventListener('change', saveOptions);
+    timeLimitInput.addEventListener('change', saveOptions);
+    nodeLimitInput.addEventListener('change', saveOptions);
+    solverModeSelect.addEventListener('change', () => {
+      saveOptions();
+      updateObjectiveSelect();
+    });
     prevSolutionBtn.addEventListener('click', showPreviousSolution);
     nextSolutionBtn.addEventListener('click', showNextSolution);
+    boardW.addEventListener('change', onBoardShapeChange);
+    boardH.addEventListener('change', onBoardShapeChange);
+    boardRadius.addEventListener('change', onBoardShapeChange);
+    boardShapeSelect.addEventListener('change', onBoardShapeChange);
+    paintMaskBtn.addEventListener('click', onTogglePaintMask);
+    exportCollectionBtn.addEventListener('click', onExportCollection);
+    importCollectionBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', onImportFileChosen);
+    shareLinkBtn.addEventListener('click', onShareLink);
+    window.addEventListener('hashchange', loadShareLink);
+    profileSelect.addEventListener('change', () => switchProfile(Number(profileSelect.value)));
+    newProfileBtn.addEventListener('click', onNewProfile);
+    renameProfileBtn.addEventListener('click', onRenameProfile);
+    duplicateProfileBtn.addEventListener('click', onDuplicateProfile);
+    deleteProfileBtn.addEventListener('click', onDeleteProfile);
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+    document.addEventListener('keydown', onHistoryKey);
     boardW.value = 9;
     boardH.value = 9;
     // no hex size input, fixed size
@@ -72,6 +180,7 @@
       inp.addEventListener('change', () => {
         updateEditorCellsToSelectedColor();
         refreshEditorUI();
+        saveEditor();
       });
     });
   // When color picker changes, update all selected cells to the new color
@@ -122,9 +231,12 @@
     const key = hex.key();
     const cell = editorGrid.get(hex);
     if (!cell) return;
-    const color = cell.data && cell.data.color ? null : PALETTE[getSelectedColor()];
+    const previous = cell.data && cell.data.color ? cell.data.color : null;
+    const color = previous ? null : PALETTE[getSelectedColor()];
     editorGrid.set(hex, color ? {color} : null);
     refreshEditorUI(); // refresh after each click
+    saveEditor();
+    record({kind: 'editor', key, before: previous, after: color});
   }
 
   function refreshEditorUI(){
@@ -182,19 +294,112 @@
     // Store offsets relative to center (in odd-q offset coords)
     const offsets = cells.map(h => HexGrid.subtract(h, new HexGrid.Hex(centerQ, centerR)));
     const colorKey = getSelectedColor();
+    if (editingPieceId !== null) {
+      savePieceEdit(offsets, colorKey);
+      return;
+    }
     const piece = {
       id: pieceIdSeq++,
       colorKey: colorKey,
       color: PALETTE[colorKey],
-      cells: offsets
+      cells: offsets,
+      quantity: 1
     };
+    const before = collectionState();
     pieces.push(piece);
     saveCollection();
     editorGrid.clearData();
     refreshEditorUI();
+    saveEditor();
+    recordCollectionChange(before);
+    renderPiecesList();
+  }
+
+  // load a piece into the editor; adding it then saves over the original
+  function editPiece(i){
+    if (solverRunning) return;
+    const piece = pieces[i];
+    // put the piece center near the middle of the editor, or anywhere it fits
+    const middle = new HexGrid.Hex(Math.floor(EDITOR_GRID_W / 2), Math.floor(EDITOR_GRID_H / 2));
+    const center = [middle].concat(editorGrid.getCellsArray().map(c => c.hex))
+      .find(c => piece.cells.every(off => editorGrid.has(HexGrid.add(c, off))));
+    if (!center) {
+      setCollectionHint(`piece #${piece.id} is too big for the editor`);
+      return;
+    }
+    const before = collectionState();
+    editorGrid.clearData();
+    piece.cells.forEach(off => editorGrid.set(HexGrid.add(center, off), {color: piece.color}));
+    colorInputs.forEach(inp => { inp.checked = inp.value === piece.colorKey; });
+    refreshEditorUI();
+    saveEditor();
+    recordCollectionChange(before);
+    editingPieceId = piece.id;
+    updateEditingUI();
+    renderPiecesList();
+  }
+
+  function savePieceEdit(offsets, colorKey){
+    const piece = pieces.find(p => p.id === editingPieceId);
+    const before = collectionState();
+    const cellsKey = cells => cells.map(h => h.key()).sort().join(';');
+    const reshaped = cellsKey(piece.cells) !== cellsKey(offsets);
+    piece.cells = offsets;
+    piece.colorKey = colorKey;
+    piece.color = PALETTE[colorKey];
+    saveCollection();
+    editingPieceId = null;
+    editorGrid.clearData();
+    refreshEditorUI();
+    saveEditor();
+    updateEditingUI();
+    const shown = topSolutions[currentSolutionIndex] || [];
+    if (reshaped && (shown.some(pl => pl.piece === piece.id) || pinnedPlacements.some(pl => pl.piece === piece.id))) {
+      // its placements changed shape: drop pins that no longer fit and
+      // any solution using it
+      buildBoardGrid();
+      recordCollectionChange(before);
+      onPinsChanged();
+      return;
+    }
+    if (reshaped) {
+      // other tied solutions may still place it in its old shape
+      const kept = topSolutions.filter(sol => !sol.some(pl => pl.piece === piece.id));
+      if (kept.length !== topSolutions.length) {
+        topSolutions = kept;
+        currentSolutionIndex = Math.max(0, kept.indexOf(shown));
+        solutionCounter.textContent = `${currentSolutionIndex + 1} of ${topSolutions.length}`;
+        solutionCyclingEl.style.display = topSolutions.length > 1 ? 'block' : 'none';
+      }
+    }
+    recordCollectionChange(before);
+    // repaint in case the color changed
+    paintPlacements(shown.length ? shown : pinnedPlacements);
+    renderPiecesList();
+    renderBoard();
+  }
+
+  function cancelPieceEdit(){
+    const before = collectionState();
+    editingPieceId = null;
+    editorGrid.clearData();
+    refreshEditorUI();
+    saveEditor();
+    recordCollectionChange(before);
+    updateEditingUI();
     renderPiecesList();
   }
 
+  function stopEditing(){
+    editingPieceId = null;
+    updateEditingUI();
+  }
+
+  function updateEditingUI(){
+    addPieceBtn.textContent = editingPieceId !== null ? `save piece #${editingPieceId}` : 'add piece';
+    cancelEditBtn.style.display = editingPieceId !== null ? '' : 'none';
+  }
+
   function renderPiecesList(){
     piecesList.innerHTML = '';
     pieces.forEach((p, i)=>{
@@ -202,6 +407,14 @@
       li.style.display = 'flex';
       li.style.alignItems = 'center';
       li.style.gap = '8px';
+      if (p.id === editingPieceId) li.style.background = '#eef';
+      // drag a piece onto the board to pin it there
+      li.draggable = true;
+      li.title = 'drag onto the board to pin this piece';
+      li.addEventListener('dragstart', (ev)=> {
+        ev.dataTransfer.setData('text/plain', String(p.id));
+        ev.dataTransfer.effectAllowed = 'copy';
+      });
       // tiny preview
       const prevDiv = document.createElement('div');
       prevDiv.style.display = 'inline-block';
@@ -213,7 +426,32 @@
       // id label
       const label = document.createElement('div');
       label.textContent = `#${p.id}`;
+      if (pinnedPlacements.some(pl => pl.piece === p.id)) label.textContent += ' 📌';
       li.appendChild(label);
+      // number of distinct orientations the solver will try
+      const orientCount = pieceOrientations(p).length;
+      const orient = document.createElement('small');
+      orient.textContent = `↻${orientCount}`;
+      orient.title = `${orientCount} distinct orientation${orientCount === 1 ? '' : 's'}`;
+      li.appendChild(orient);
+      // per-piece reflection toggle (on top of the global option)
+      const mirrorBtn = document.createElement('button');
+      mirrorBtn.textContent = '⇅';
+      mirrorBtn.title = p.allowMirror ? 'reflections allowed for this piece' : 'allow reflecting this piece';
+      if (p.allowMirror) mirrorBtn.className = 'button-primary';
+      mirrorBtn.addEventListener('click', ()=> togglePieceMirror(i));
+      li.appendChild(mirrorBtn);
+      // how many identical copies of this piece are available
+      const qty = document.createElement('input');
+      qty.type = 'number';
+      qty.min = 1;
+      qty.max = 99;
+      qty.value = p.quantity;
+      qty.title = 'quantity';
+      qty.style.width = '5em';
+      qty.style.marginBottom = '0';
+      qty.addEventListener('change', ()=> setPieceQuantity(i, qty.value));
+      li.appendChild(qty);
       // controls
       const up = document.createElement('button');
       up.textContent = '↑';
@@ -223,6 +461,11 @@
       down.textContent = '↓';
       down.addEventListener('click', ()=> movePieceDown(i));
       li.appendChild(down);
+      const editBtn = document.createElement('button');
+      editBtn.textContent = '✎';
+      editBtn.title = 'edit piece';
+      editBtn.addEventListener('click', ()=> editPiece(i));
+      li.appendChild(editBtn);
       // clone button
       const cloneBtn = document.createElement('button');
       cloneBtn.textContent = '⧉';
@@ -238,15 +481,18 @@
   }
 
   function clonePiece(i){
+    const before = collectionState();
     const orig = pieces[i];
     const newPiece = {
       id: pieceIdSeq++,
       colorKey: orig.colorKey,
       color: orig.color,
-      cells: orig.cells.map(h => new HexGrid.Hex(h.q, h.r))
+      cells: orig.cells.map(h => new HexGrid.Hex(h.q, h.r)),
+      quantity: 1
     };
     pieces.splice(i+1, 0, newPiece);
     saveCollection();
+    recordCollectionChange(before);
     renderPiecesList();
   }
 
@@ -329,94 +575,312 @@
 
   function movePieceUp(i){
     if (i <= 0) return;
+    const before = collectionState();
     const tmp = pieces[i-1];
     pieces[i-1] = pieces[i];
     pieces[i] = tmp;
     saveCollection();
+    recordCollectionChange(before);
     renderPiecesList();
   }
   function movePieceDown(i){
     if (i >= pieces.length-1) return;
+    const before = collectionState();
     const tmp = pieces[i+1];
     pieces[i+1] = pieces[i];
     pieces[i] = tmp;
     saveCollection();
+    recordCollectionChange(before);
+    renderPiecesList();
+  }
+  function togglePieceMirror(i){
+    const before = collectionState();
+    pieces[i].allowMirror = !pieces[i].allowMirror;
+    saveCollection();
+    recordCollectionChange(before);
     renderPiecesList();
   }
+
+  function setPieceQuantity(i, value){
+    const piece = pieces[i];
+    const before = collectionState();
+    piece.quantity = Math.min(99, Math.max(1, parseInt(value, 10) || 1));
+    saveCollection();
+    // drop the latest pins of this piece beyond the new quantity
+    const pinsOfPiece = pinnedPlacements.filter(pl => pl.piece === piece.id);
+    if (pinsOfPiece.length > piece.quantity) {
+      const extra = new Set(pinsOfPiece.slice(piece.quantity));
+      pinnedPlacements = pinnedPlacements.filter(pl => !extra.has(pl));
+      recordCollectionChange(before);
+      onPinsChanged();
+    } else {
+      recordCollectionChange(before);
+      renderPiecesList();
+    }
+  }
+
   function removePiece(i){
+    const before = collectionState();
+    const removedId = pieces[i].id;
     pieces.splice(i, 1);
     // Renumber all pieces to have contiguous ids starting from 1
-    pieces.forEach((p, idx) => { p.id = idx + 1; });
+    const newIds = new Map();
+    pieces.forEach((p, idx) => {
+      newIds.set(p.id, idx + 1);
+      p.id = idx + 1;
+    });
     pieceIdSeq = pieces.length + 1;
+    if (editingPieceId === removedId) {
+      stopEditing();
+    } else if (editingPieceId !== null) {
+      editingPieceId = newIds.get(editingPieceId);
+      updateEditingUI();
+    }
+    // keep pins pointing at the same pieces
+    pinnedPlacements = pinnedPlacements
+      .filter(pl => pl.piece !== removedId)
+      .map(pl => Object.assign({}, pl, {piece: newIds.get(pl.piece)}));
     saveCollection();
+    recordCollectionChange(before);
     renderPiecesList();
+    if (boardGrid && topSolutions.length === 0) {
+      saveBoardConfig(boardW.value, boardH.value, []);
+      paintPlacements(pinnedPlacements);
+    }
     renderBoard(); // update board numbers if needed
   }
 
+  // translation-independent key of a set of cells: offsets from the
+  // topmost cell of the leftmost column, sorted
+  function shapeKey(cells){
+    let ref = cells[0];
+    cells.forEach(h => {
+      if (h.q < ref.q || (h.q === ref.q && h.r < ref.r)) ref = h;
+    });
+    return cells.map(h => HexGrid.subtract(h, ref).key()).sort().join(';');
+  }
+
+  // piece offsets, optionally mirrored, then rotated
+  function orientCells(piece, rot, mirror){
+    return piece.cells.map(off => HexGrid.rotate(mirror ? HexGrid.reflect(off) : off, rot));
+  }
+
+  // a piece may be flipped if reflections are allowed globally or for it alone
+  function canReflect(piece){
+    return allowReflectionsCheckbox.checked || !!piece.allowMirror;
+  }
+
+  // distinct orientations of a piece as [{rot, mirror, cells}], where cells
+  // are the oriented offsets; orientations that map the piece onto one
+  // already listed (rotational or mirror symmetry) are dropped
+  function pieceOrientations(piece){
+    const rotLimit = (allowRotationsCheckbox && !allowRotationsCheckbox.checked) ? 1 : 6;
+    const mirrors = canReflect(piece) ? [false, true] : [false];
+    const seen = new Set();
+    const orientations = [];
+    for (const mirror of mirrors) {
+      for (let rot = 0; rot < rotLimit; rot++) {
+        const cells = orientCells(piece, rot, mirror);
+        const key = shapeKey(cells);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        orientations.push({rot, mirror, cells});
+      }
+    }
+    return orientations;
+  }
+
+  // board cells covered by a placed piece ({piece, anchor, rot, mirror})
+  function placementCells(piece, placement){
+    const anchor = new HexGrid.Hex(placement.anchor.q, placement.anchor.r);
+    return orientCells(piece, placement.rot, placement.mirror).map(ro => HexGrid.add(anchor, ro));
+  }
+
+  // the six neighbors of the origin as odd-q offsets. Board keys are offset
+  // coordinates, so neighbors go through HexGrid.add, which handles the
+  // column parity (boardGrid.neighbors adds axial directions directly)
+  const NEIGHBOR_OFFSETS = [[1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [0, 1]]
+    .map(([q, r]) => new HexGrid.Hex(q, r));
+
+  // reset the board grid and color the cells covered by a list of placements
+  function paintPlacements(list){
+    boardGrid.clearData();
+    for (const placement of list) {
+      const piece = pieces.find(p => p.id === placement.piece);
+      if (!piece) continue;
+      placementCells(piece, placement).forEach(target => {
+        if (boardGrid.has(target)) boardGrid.set(target, { color: piece.color });
+      });
+    }
+  }
+
+  // Search checkpoints go to IndexedDB, since a frontier can be far bigger
+  // than localStorage allows. There is a single slot: a new search that
+  // saves a checkpoint replaces the old one.
+  function checkpointRequest(mode, makeRequest){
+    return new Promise((resolve, reject) => {
+      const open = indexedDB.open('hex_solver', 1);
+      open.onupgradeneeded = () => open.result.createObjectStore('checkpoints');
+      open.onerror = () => reject(open.error);
+      open.onsuccess = () => {
+        const db = open.result;
+        const tx = db.transaction('checkpoints', mode);
+        const req = makeRequest(tx.objectStore('checkpoints'));
+        tx.oncomplete = () => { db.close(); resolve(req.result); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
+      };
+    });
+  }
+  function loadCheckpoint(){
+    return checkpointRequest('readonly', store => store.get('current'));
+  }
+  function saveCheckpoint(checkpoint){
+    return checkpointRequest('readwrite', store => store.put(checkpoint, 'current'));
+  }
+  function deleteCheckpoint(){
+    return checkpointRequest('readwrite', store => store.delete('current'));
+  }
+  // writes run one after another so a late save can't undo a delete
+  let checkpointWrites = Promise.resolve();
+  function queueCheckpointWrite(fn){
+    checkpointWrites = checkpointWrites.then(fn).catch(err => console.warn('checkpoint:', err));
+  }
+  function updateResumeButton(){
+    return loadCheckpoint().then(checkpoint => {
+      resumeBtn.style.display = checkpoint && !solverRunning ? '' : 'none';
+      if (checkpoint) {
+        resumeBtn.title = `saved ${new Date(checkpoint.savedAt).toLocaleString()}, ${checkpoint.tasks.length} subtrees left`;
+      }
+    }).catch(() => { resumeBtn.style.display = 'none'; });
+  }
+  async function onResume(){
+    if (solverRunning) return;
+    let checkpoint = null;
+    try {
+      checkpoint = await loadCheckpoint();
+    } catch(e) {}
+    if (!checkpoint) {
+      resumeBtn.style.display = 'none';
+      return;
+    }
+    stopSolutionEdit();
+    await solveWithWorkers(checkpoint);
+  }
+
+  // 32-bit FNV-1a, enough to tell whether a checkpoint fits the puzzle
+  function hashString(str){
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16);
+  }
+
   // solver - backtracking algorithm to find optimal coverage
   async function onSolve(){
     if (solverRunning) {
-      // Stop the solver
-      solverShouldStop = true;
-      workers.forEach(w => w.postMessage({ type: 'STOP' }));
-      workers.forEach(w => w.terminate());
-      workers = [];
-      solveBtn.textContent = 'solve';
-      statsStatus.textContent = 'stopped by user';
-      solverRunning = false;
+      // Stop the solver: the workers hand in what they found so far
+      if (stopSolver) {
+        statsStatus.textContent = 'stopping...';
+        stopSolver('user');
+        stopSolver = null;
+      }
       return;
     }
 
+    if (priorityTooDeep()) {
+      setBoardHint('too many pieces to rank by priority exactly, use fewer pieces or copies or another objective');
+      return;
+    }
+    stopSolutionEdit();
     await solveWithWorkers();
   }
 
-  // Web Worker-based parallel solver
-  async function solveWithWorkers() {
+  // 'priority' weights at least double from one piece to the one above it,
+  // past 2^53 the scores are no longer exact and the order quietly breaks
+  function priorityTooDeep(){
+    if (objectiveSelect.value !== 'priority') return false;
+    let below = 0;
+    for (let i = pieces.length - 1; i >= 0; i--) below += (below + 1) * pieces[i].quantity;
+    return below > Number.MAX_SAFE_INTEGER;
+  }
+
+  // Web Worker-based parallel solver; resume is a saved checkpoint to
+  // continue from instead of starting over
+  async function solveWithWorkers(resume) {
     solverRunning = true;
-    solverShouldStop = false;
     solveBtn.textContent = 'stop';
+    resumeBtn.style.display = 'none';
     solverStatsEl.style.display = 'block';
-    statsStatus.textContent = 'running (parallel)...';
+    statsStatus.textContent = resume ? 'resuming (parallel)...' : 'running (parallel)...';
     solutionCyclingEl.style.display = 'none';
     topSolutions = [];
     currentSolutionIndex = 0;
 
     const w = Math.max(1, parseInt(boardW.value, 10) || 1);
     const h = Math.max(1, parseInt(boardH.value, 10) || 1);
-    boardGrid = new HexGrid.HexGrid();
-    boardGrid.generateRect(w, h);
+    paintingMask = false;
+    updateBoardShapeInputs();
+    buildBoardGrid();
 
     console.log('Starting parallel backtracking solver...');
     const startTime = Date.now();
-    const boardSize = w * h;
 
-    // Build linear index mapping for board cells and neighbor lists
-    const boardCells = boardGrid.getCellsArray().map(c => c.hex);
+    // Build linear index mapping for board cells and neighbor lists. Free
+    // cells come first (indices below boardSize); blocked cells are appended
+    // after them so they can still serve as a piece anchor, but never as a
+    // placement target.
+    const allCells = boardGrid.getCellsArray().map(c => c.hex);
+    const boardCells = allCells.filter(hex => !blockedCells.has(hex.key()));
+    const boardSize = boardCells.length;
+    allCells.forEach(hex => {
+      if (blockedCells.has(hex.key())) boardCells.push(hex);
+    });
     const cellIndexMap = new Map();
     boardCells.forEach((hex, idx) => cellIndexMap.set(hex.key(), idx));
 
-    // Precompute neighbor indices for each cell (array of arrays)
-    const neighbors = boardCells.map((hex) => {
-      return boardGrid.neighbors(hex).map(n => cellIndexMap.get(n.hex.key()));
+    // Cells taken by pinned pieces; the search starts from that partial state
+    const pinnedSolution = pinnedPlacements.map(pl => ({
+      piece: pl.piece, anchor: pl.anchor, rot: pl.rot, mirror: !!pl.mirror, pinned: true
+    }));
+    // copies of each piece still free for the search
+    const availableCounts = pieces.map(p => {
+      return p.quantity - pinnedSolution.filter(pl => pl.piece === p.id).length;
+    });
+    const pinnedCellSet = new Set();
+    pinnedSolution.forEach(pl => {
+      const piece = pieces.find(p => p.id === pl.piece);
+      if (!piece) return;
+      placementCells(piece, pl).forEach(target => pinnedCellSet.add(cellIndexMap.get(target.key())));
+    });
+    const pinnedCells = Int32Array.from(pinnedCellSet);
+
+    // Precompute neighbor indices for each free cell (array of arrays)
+    const neighbors = boardCells.slice(0, boardSize).map((hex) => {
+      return NEIGHBOR_OFFSETS
+        .map(d => cellIndexMap.get(HexGrid.add(hex, d).key()))
+        .filter(idx => idx < boardSize);
     });
 
     // Precompute placements (use integer indices for targets and anchor index)
     const piecePlacements = pieces.map((piece, pi) => {
       const placements = [];
-      const rotLimit = (allowRotationsCheckbox && !allowRotationsCheckbox.checked) ? 1 : 6;
-      for (let rot = 0; rot < rotLimit; rot++) {
+      if (availableCounts[pi] <= 0) return placements;
+      // only distinct orientations: symmetric rotations would just repeat
+      // the same target sets at other anchors
+      for (const {rot, mirror, cells} of pieceOrientations(piece)) {
         boardGrid.forEach((cell) => {
           const anchor = cell.hex;
           let valid = true;
           const targets = [];
-          for (const off of piece.cells) {
-            const ro = HexGrid.rotate(off, rot);
+          for (const ro of cells) {
             const target = HexGrid.add(anchor, ro);
-            if (!boardGrid.has(target)) {
+            const idx = cellIndexMap.get(target.key());
+            if (idx === undefined || idx >= boardSize || pinnedCellSet.has(idx)) {
               valid = false;
               break;
             }
-            const idx = cellIndexMap.get(target.key());
             targets.push(idx);
           }
           if (valid) {
@@ -425,6 +889,7 @@
               pieceId: piece.id,
               anchorIdx: cellIndexMap.get(anchor.key()),
               rot,
+              mirror,
               targets
             });
           }
@@ -433,29 +898,118 @@
       return placements;
     });
 
-    // Static MRV ordering: sort pieces by number of placements (fewest placements first)
-    const pieceOrder = pieces.map((p, i) => i).sort((a, b) => {
-      return piecePlacements[a].length - piecePlacements[b].length;
-    });
+    // Static MRV ordering: sort pieces by number of placements (fewest placements first).
+    // Pinned pieces and pieces that fit nowhere are left out of the search.
+    const pieceOrder = pieces.map((p, i) => i)
+      .filter(i => piecePlacements[i].length > 0)
+      .sort((a, b) => {
+        return piecePlacements[a].length - piecePlacements[b].length;
+      });
+
+    // Objective weights. Priority follows the list order (first = highest).
+    // 'tiebreak' only breaks coverage ties: every piece weight together is
+    // worth less than one covered cell. 'priority' is lexicographic: each
+    // piece outweighs all copies of the pieces below it combined, so coverage
+    // no longer matters (onSolve refuses lists that would outgrow exact
+    // float integers).
+    const objective = objectiveSelect.value;
+    const n = pieces.length;
+    const pieceWeights = new Array(n).fill(0);
+    let coverageWeight = 1;
+    if (objective === 'tiebreak') {
+      pieces.forEach((p, i) => { pieceWeights[i] = n - i; });
+      coverageWeight = pieces.reduce((sum, p, i) => sum + pieceWeights[i] * p.quantity, 0) + 1;
+    } else if (objective === 'priority') {
+      let below = 0;
+      for (let i = n - 1; i >= 0; i--) {
+        pieceWeights[i] = below + 1;
+        below += pieceWeights[i] * pieces[i].quantity;
+      }
+      coverageWeight = 0;
+    }
+    const weighted = objective !== 'coverage';
+
+    // Exact cover: list (or just count) every perfect tiling instead
+    const exactMode = solverModeSelect.value !== 'maximize';
+    let tilingCount = 0;
+    // counting keeps one tiling around as an example
+    const keepLimit = solverModeSelect.value === 'count' ? 1 : TILING_LIST_LIMIT;
+    statsTilingsRow.style.display = exactMode ? 'block' : 'none';
+    statsPrunedRow.style.display = exactMode ? 'none' : 'block';
+    statsTableRow.style.display = exactMode ? 'none' : 'block';
+    statsTilings.textContent = '0';
 
     // Determine number of workers (use CPU core count if available)
     const numWorkers = navigator.hardwareConcurrency || 4;
     console.log(`Using ${numWorkers} workers`);
+    // transposition table slots per worker: 2^21 shared out, 2^16..2^19 each
+    const tableBits = Math.max(16, Math.min(19, 21 - Math.ceil(Math.log2(numWorkers))));
+
+    // Optional limits: the workers watch the deadline, the state limit is
+    // checked against the sum of their counts. Once one is hit they hand in
+    // the best they have found so far
+    const timeLimit = parseFloat(timeLimitInput.value) || 0;
+    const nodeLimit = parseInt(nodeLimitInput.value, 10) || 0;
+    const deadline = timeLimit > 0 ? startTime + timeLimit * 1000 : 0;
+    // set when the search ends early: 'user', 'time' or 'nodes'
+    let stopReason = null;
+    statsProvenLabel.textContent = exactMode ? 'all tilings found:' : 'proven optimal:';
+    statsProven.textContent = 'not yet';
+
+    // Checkpoints: every so often the workers report their frontier and the
+    // whole state is saved, so a stopped or interrupted search can resume
+    let checkpointTimer = null;
+    let checkpointReplies = null; // FRONTIER replies of the checkpoint in progress
+    let ownsCheckpoint = false; // the saved checkpoint belongs to this search
+    // states checked before the checkpoint this search resumed from
+    let searchedBefore = 0;
+
+    const totalPieceCount = pieces.reduce((sum, p) => sum + p.quantity, 0);
 
     // Global best tracking
     let bestCoverage = 0;
+    let bestScore = 0;
     let totalSearchCount = 0;
     let completedWorkers = 0;
     let workerSearchCounts = new Array(numWorkers).fill(0);
+    const workerTilings = new Array(numWorkers).fill(0);
+    // states cut off by the region bound that the plain bound let through
+    const workerRegionPrunes = new Array(numWorkers).fill(0);
+    // transposition table lookups and hits (states already searched)
+    const workerTableLookups = new Array(numWorkers).fill(0);
+    const workerTableHits = new Array(numWorkers).fill(0);
+    // best score any worker has reported so far, shared as the pruning bound
+    let liveScore = 0;
+    let liveCoverage = 0;
+    // ...and its solution, drawn on the board while the search goes on
+    let liveSolution = null;
+    let liveRenderTimer = null;
+    let lastLiveRender = 0;
+    const runWorkers = workers;
+    // subtrees waiting for a worker, and how many have been searched
+    const queue = [];
+    let tasksDone = 0;
 
     function updateStats() {
       const elapsed = (Date.now() - startTime) / 1000;
       const statesPerSecond = elapsed > 0 ? Math.round(totalSearchCount / elapsed) : 0;
 
-      statsCount.textContent = totalSearchCount.toLocaleString() + ` (${statesPerSecond.toLocaleString()}/s)`;
-      statsCoverage.textContent = `${bestCoverage}/${boardSize}`;
-      const currentSolution = topSolutions[currentSolutionIndex];
-      statsPieces.textContent = currentSolution ? `${currentSolution.length}/${pieces.length}` : `0/${pieces.length}`;
+      statsCount.textContent = (searchedBefore + totalSearchCount).toLocaleString() + ` (${statesPerSecond.toLocaleString()}/s)`;
+      statsTasks.textContent = `${tasksDone.toLocaleString()} searched, ${queue.length.toLocaleString()} queued`;
+      statsPruned.textContent = workerRegionPrunes.reduce((sum, n) => sum + n, 0).toLocaleString();
+      const lookups = workerTableLookups.reduce((sum, n) => sum + n, 0);
+      const hits = workerTableHits.reduce((sum, n) => sum + n, 0);
+      const hitRate = lookups > 0 ? (hits / lookups * 100).toFixed(1) : '0.0';
+      statsTable.textContent = `${hitRate}% of ${lookups.toLocaleString()} lookups`;
+      // while running, show the best solution reported so far
+      const live = completedWorkers === 0 && liveSolution !== null;
+      statsCoverage.textContent = `${live ? liveCoverage : bestCoverage}/${boardSize}`;
+      if (exactMode) {
+        const running = Math.max(tilingCount, workerTilings.reduce((sum, t) => sum + t, 0));
+        statsTilings.textContent = running.toLocaleString();
+      }
+      const currentSolution = live ? liveSolution : topSolutions[currentSolutionIndex];
+      statsPieces.textContent = `${currentSolution ? currentSolution.length : 0}/${totalPieceCount}`;
       statsTime.textContent = elapsed.toFixed(1);
     }
 
@@ -471,26 +1025,27 @@
       const solution = topSolutions[currentSolutionIndex];
       if (!solution) return;
 
-      boardGrid.forEach(cell => {
-        boardGrid.set(cell.hex, null);
-      });
-
-      for (const placement of solution) {
-        const piece = pieces.find(p => p.id === placement.piece);
-        const anchor = new HexGrid.Hex(placement.anchor.q, placement.anchor.r);
-
-        for (const off of piece.cells) {
-          const ro = HexGrid.rotate(off, placement.rot);
-          const target = HexGrid.add(anchor, ro);
-          boardGrid.set(target, { color: piece.color });
-        }
-      }
-
+      paintPlacements(solution);
       saveBoardConfig(w, h, solution);
       renderBoard();
       updateSolutionCounter();
     }
 
+    // redraw with the latest live solution, a few times a second at most
+    function showLiveSolution() {
+      if (liveRenderTimer) return;
+      const wait = Math.max(0, lastLiveRender + 250 - Date.now());
+      liveRenderTimer = setTimeout(() => {
+        liveRenderTimer = null;
+        // the run may have ended (or a new one started) in the meantime
+        if (!solverRunning || workers !== runWorkers) return;
+        lastLiveRender = Date.now();
+        paintPlacements(liveSolution);
+        saveBoardConfig(w, h, liveSolution);
+        renderBoard();
+      }, wait);
+    }
+
     function getSolutionCellSignature(solution) {
       // Create a signature based on which cells are covered by which piece
       const cellToPiece = [];
@@ -498,11 +1053,7 @@
       for (const placement of solution) {
         const piece = pieces.find(p => p.id === placement.piece);
         if (!piece) continue;
-        const anchor = new HexGrid.Hex(placement.anchor.q, placement.anchor.r);
-
-        for (const off of piece.cells) {
-          const ro = HexGrid.rotate(off, placement.rot);
-          const target = HexGrid.add(anchor, ro);
+        for (const target of placementCells(piece, placement)) {
           const cellIdx = cellIndexMap.get(target.key());
           if (cellIdx !== undefined) {
             cellToPiece.push([cellIdx, placement.piece]);
@@ -524,8 +1075,8 @@
       for (let pl of piecePlacements[pi]) totalTargets += pl.targets.length;
     }
 
-    // placementsMeta: [ pieceIdx, pieceId, anchorIdx, rot, targetsStart, targetsLen ] per placement
-    const placementsMeta = new Int32Array(numPlacements * 6);
+    // placementsMeta: [ pieceIdx, pieceId, anchorIdx, rot, targetsStart, targetsLen, mirror ] per placement
+    const placementsMeta = new Int32Array(numPlacements * META_STRIDE);
     const placementsTargets = new Int32Array(totalTargets);
     const piecePlacementStart = new Int32Array(numPieces);
     const piecePlacementCount = new Int32Array(numPieces);
@@ -538,56 +1089,334 @@
       piecePlacementCount[pi] = list.length;
       for (let j = 0; j < list.length; j++) {
         const pl = list[j];
-        const base = placementIdx * 6;
+        const base = placementIdx * META_STRIDE;
         placementsMeta[base + 0] = pl.pieceIdx;
         placementsMeta[base + 1] = pl.pieceId;
         placementsMeta[base + 2] = pl.anchorIdx;
         placementsMeta[base + 3] = pl.rot;
         placementsMeta[base + 4] = targetCursor;
         placementsMeta[base + 5] = pl.targets.length;
+        placementsMeta[base + 6] = pl.mirror ? 1 : 0;
         for (let t = 0; t < pl.targets.length; t++) placementsTargets[targetCursor++] = pl.targets[t];
         placementIdx++;
       }
     }
 
-    // Create work packages: distribute first-piece placements across workers
-    const firstPieceIdx = pieceOrder[0];
-    const firstPieceStart = piecePlacementStart[firstPieceIdx];
-    const firstPieceCount = piecePlacementCount[firstPieceIdx];
-    const placementsPerWorker = Math.ceil(firstPieceCount / numWorkers);
+    function finishSolve(status) {
+      // All workers done
+      const elapsed = Date.now() - startTime;
+      console.log(`All workers complete! Searched ${totalSearchCount} states in ${elapsed}ms`);
+      console.log(`Best solution: ${bestCoverage} cells with ${topSolutions.length} solution(s) tied for top coverage`);
+
+      updateStats();
+      updateSolutionCounter();
+      statsStatus.textContent = status || (stopReason ? `${STOP_REASONS[stopReason]}: best found so far, not proven optimal` : 'complete');
+      statsProven.textContent = stopReason ? `no, ${STOP_REASONS[stopReason]}` : 'yes';
+      solverRunning = false;
+      stopSolver = null;
+      solveBtn.textContent = 'solve';
+      clearInterval(checkpointTimer);
+      // an exhausted search has nothing left to resume
+      if (ownsCheckpoint && !stopReason) queueCheckpointWrite(deleteCheckpoint);
+      queueCheckpointWrite(updateResumeButton);
+
+      workers.forEach(w => w.terminate());
+      workers = [];
+
+      if (topSolutions.length > 0) {
+        saveBoardConfig(w, h, topSolutions[currentSolutionIndex]);
+        updateBoardDisplay();
+      } else {
+        renderBoard();
+      }
+    }
+
+    const workerPieces = pieces.map((p, pi) => ({
+      id: p.id,
+      size: p.cells.length,
+      weight: pieceWeights[pi],
+      count: Math.max(0, availableCounts[pi])
+    }));
+    // tasks refer to placement indices, so a checkpoint only fits the exact
+    // same placements, pieces and objective
+    const fingerprint = hashString(JSON.stringify([
+      workerPieces, coverageWeight, boardCells.map(hex => hex.key()), boardSize, pieceOrder, pinnedSolution,
+      exactMode, keepLimit,
+      Array.from(placementsMeta), Array.from(placementsTargets)
+    ]));
+    if (resume && resume.fingerprint !== fingerprint) {
+      finishSolve('can\'t resume: the pieces, board or options changed since the checkpoint');
+      statsProven.textContent = 'no';
+      return;
+    }
+
+    // Nothing left to search: the pinned pieces are the whole answer
+    if (pieceOrder.length === 0) {
+      if (pinnedSolution.length > 0) {
+        bestCoverage = pinnedCells.length;
+        bestScore = bestCoverage * coverageWeight;
+        topSolutions = [pinnedSolution];
+      }
+      finishSolve();
+      return;
+    }
+
+    // First-level subtrees to search.
+    // Maximizing branches on the first piece; exact cover on the free cell
+    // covered by the fewest placements, since some placement must cover it.
+    const firstLevel = [];
+    if (exactMode) {
+      const freeArea = boardSize - pinnedCells.length;
+      const pieceArea = pieces.reduce((sum, p, pi) => sum + Math.max(0, availableCounts[pi]) * p.cells.length, 0);
+      if (pieceArea !== freeArea) {
+        finishSolve(`no perfect tiling: pieces cover ${pieceArea} cells, ${freeArea} are free`);
+        return;
+      }
+      if (pieces.some((p, pi) => availableCounts[pi] > 0 && piecePlacements[pi].length === 0)) {
+        finishSolve('no perfect tiling: some piece fits nowhere');
+        return;
+      }
+      const coveringPlacements = [];
+      for (let pIdx = 0; pIdx < numPlacements; pIdx++) {
+        const base = pIdx * META_STRIDE;
+        const tStart = placementsMeta[base + 4];
+        for (let t = tStart; t < tStart + placementsMeta[base + 5]; t++) {
+          const cellIdx = placementsTargets[t];
+          (coveringPlacements[cellIdx] = coveringPlacements[cellIdx] || []).push(pIdx);
+        }
+      }
+      let splitCell = -1;
+      for (let c = 0; c < boardSize; c++) {
+        if (pinnedCellSet.has(c)) continue;
+        const count = coveringPlacements[c] ? coveringPlacements[c].length : 0;
+        if (splitCell === -1 || count < coveringPlacements[splitCell].length) splitCell = c;
+        if (count === 0) break;
+      }
+      if (!coveringPlacements[splitCell]) {
+        finishSolve('no perfect tiling: some cell cannot be covered');
+        return;
+      }
+      firstLevel.push(...coveringPlacements[splitCell]);
+    } else {
+      const firstPieceIdx = pieceOrder[0];
+      for (let k = 0; k < piecePlacementCount[firstPieceIdx]; k++) {
+        firstLevel.push(piecePlacementStart[firstPieceIdx] + k);
+      }
+    }
+    // Work queue of subtrees still to search. A task is the list of
+    // placement indices leading to its subtree, plus the pieces left out on
+    // the way there (weighted modes). Idle workers take the next task; once
+    // the queue runs dry, busy workers are asked to split off untried
+    // branches of their own subtree, so the split goes deeper as needed.
+    if (resume) {
+      ownsCheckpoint = true;
+      searchedBefore = resume.searchCount;
+      queue.push(...resume.tasks);
+      bestScore = resume.score;
+      bestCoverage = resume.coverage;
+      topSolutions = resume.solutions;
+      tilingCount = resume.tilings;
+      if (topSolutions.length > 0) {
+        liveScore = bestScore;
+        liveCoverage = exactMode ? boardSize : bestCoverage;
+        liveSolution = topSolutions[0];
+        showLiveSolution();
+      }
+      console.log(`resuming with ${queue.length} subtrees left`);
+    } else {
+      firstLevel.forEach(pIdx => queue.push({ path: [pIdx], skipped: [] }));
+      // weighted modes also search leaving the first piece out
+      if (weighted && !exactMode) queue.push({ path: [], skipped: [pieceOrder[0]] });
+    }
+    const busy = new Array(numWorkers).fill(false);
+    // asked: donation request not answered yet; dry: nothing to give lately
+    const asked = new Array(numWorkers).fill(false);
+    const dry = new Array(numWorkers).fill(false);
+    let finishing = false;
+
+    function dispatch() {
+      // nothing moves while a checkpoint is being taken
+      if (finishing || checkpointReplies) return;
+      for (let i = 0; i < workers.length && queue.length > 0; i++) {
+        if (busy[i]) continue;
+        busy[i] = true;
+        dry[i] = false;
+        workers[i].postMessage({ type: 'TASK', data: { task: queue.shift() } });
+      }
+      let idle = busy.filter(b => !b).length;
+      if (idle === 0) return;
+      if (!busy.includes(true)) {
+        // queue empty and nobody searching: collect the results
+        finishing = true;
+        workers.forEach(w => w.postMessage({ type: 'FINISH' }));
+        return;
+      }
+      for (let i = 0; i < workers.length && idle > 0; i++) {
+        if (!busy[i] || asked[i] || dry[i]) continue;
+        asked[i] = true;
+        idle--;
+        workers[i].postMessage({ type: 'DONATE' });
+      }
+    }
+
+    // stopping drops the queue and has every worker report right away;
+    // the results are merged like a normal finish
+    function windDown(reason) {
+      if (finishing) return;
+      stopReason = reason;
+      finishing = true;
+      // save where we are first, so the search can be resumed
+      requestCheckpoint();
+      workers.forEach(w => {
+        w.postMessage({ type: 'STOP' });
+        w.postMessage({ type: 'FINISH' });
+      });
+    }
+    stopSolver = windDown;
+
+    // the state limit covers all workers together
+    function checkNodeLimit() {
+      if (nodeLimit > 0 && totalSearchCount >= nodeLimit) windDown('nodes');
+    }
+
+    // Every worker reports the branches it has not searched yet. Until all
+    // of them have, no tasks move between the queue and the workers, so the
+    // queue plus the reported frontiers is exactly the work left.
+    function requestCheckpoint() {
+      if (checkpointReplies) return;
+      checkpointReplies = [];
+      workers.forEach(w => w.postMessage({ type: 'CHECKPOINT' }));
+    }
+
+    function takeCheckpoint(replies) {
+      let score = bestScore;
+      let coverage = bestCoverage;
+      let solutions = topSolutions.slice();
+      let tilings = tilingCount;
+      let searchCount = searchedBefore;
+      const tasks = queue.slice();
+      for (const r of replies) {
+        tasks.push(...r.tasks);
+        searchCount += r.searchCount;
+        if (exactMode) {
+          tilings += r.tilings;
+          solutions = solutions.concat(r.solutions).slice(0, keepLimit);
+        } else if (r.solutions.length > 0 && r.score > score) {
+          score = r.score;
+          coverage = r.coverage;
+          solutions = r.solutions;
+        } else if (r.solutions.length > 0 && r.score === score) {
+          const seen = new Set(solutions.map(s => getSolutionCellSignature(s)));
+          r.solutions.forEach(s => {
+            if (!seen.has(getSolutionCellSignature(s))) solutions.push(s);
+          });
+        }
+      }
+      ownsCheckpoint = true;
+      queueCheckpointWrite(() => saveCheckpoint({
+        fingerprint, savedAt: Date.now(), tasks, score, coverage, solutions, tilings, searchCount
+      }));
+      console.log(`checkpoint: ${tasks.length} subtrees left`);
+    }
 
     // Spawn workers
-    for (let i = 0; i < numWorkers && i * placementsPerWorker < firstPieceCount; i++) {
+    for (let i = 0; i < numWorkers; i++) {
       const worker = new Worker('./solver-worker.js');
       workers.push(worker);
 
-      const startIdx = i * placementsPerWorker;
-      const endIdx = Math.min(startIdx + placementsPerWorker, firstPieceCount);
-      const assignedPlacementIndices = new Int32Array(Math.max(0, endIdx - startIdx));
-      for (let k = startIdx; k < endIdx; k++) assignedPlacementIndices[k - startIdx] = firstPieceStart + k;
-
       worker.onmessage = function(e) {
         const { type, data } = e.data;
 
         if (type === 'PROGRESS') {
+          if (exactMode) workerTilings[i] = data.tilings;
+          workerSearchCounts[i] = data.searchCount;
+          totalSearchCount = workerSearchCounts.reduce((sum, count) => sum + count, 0);
+          if (data.regionPrunes !== undefined) workerRegionPrunes[i] = data.regionPrunes;
+          if (data.tableLookups !== undefined) {
+            workerTableLookups[i] = data.tableLookups;
+            workerTableHits[i] = data.tableHits;
+          }
+          checkNodeLimit();
+          // it may have opened up new branches since it last had none to give
+          if (dry[i]) {
+            dry[i] = false;
+            dispatch();
+          }
+          if (data.solution && (exactMode ? !liveSolution : data.bestScore > liveScore)) {
+            if (exactMode) {
+              liveCoverage = boardSize;
+            } else {
+              // broadcast the new global best so every worker prunes against it
+              liveScore = data.bestScore;
+              liveCoverage = data.bestCoverage;
+              workers.forEach((other, j) => {
+                if (j !== i) other.postMessage({ type: 'UPDATE_BEST', data: { score: liveScore, coverage: liveCoverage } });
+              });
+            }
+            liveSolution = data.solution;
+            showLiveSolution();
+          }
+          updateStats();
+        } else if (type === 'FRONTIER') {
+          checkpointReplies.push(data);
+          if (checkpointReplies.length === workers.length) {
+            takeCheckpoint(checkpointReplies);
+            checkpointReplies = null;
+            dispatch();
+          }
+        } else if (type === 'TASK_DONE') {
+          busy[i] = false;
+          if (data.limit) windDown(data.limit);
+          // a task cut short by a stop or limit is not searched
+          if (!data.stopped) tasksDone++;
+          if (exactMode) workerTilings[i] = data.tilings;
           workerSearchCounts[i] = data.searchCount;
           totalSearchCount = workerSearchCounts.reduce((sum, count) => sum + count, 0);
+          if (data.regionPrunes !== undefined) workerRegionPrunes[i] = data.regionPrunes;
+          if (data.tableLookups !== undefined) {
+            workerTableLookups[i] = data.tableLookups;
+            workerTableHits[i] = data.tableHits;
+          }
+          checkNodeLimit();
+          dispatch();
+          updateStats();
+        } else if (type === 'DONATED') {
+          asked[i] = false;
+          if (data.tasks.length === 0) {
+            if (busy[i]) dry[i] = true;
+          } else {
+            queue.push(...data.tasks);
+          }
+          dispatch();
           updateStats();
         } else if (type === 'COMPLETE') {
           workerSearchCounts[i] = data.searchCount;
           totalSearchCount = workerSearchCounts.reduce((sum, count) => sum + count, 0);
+          if (data.regionPrunes !== undefined) workerRegionPrunes[i] = data.regionPrunes;
+          if (data.tableLookups !== undefined) {
+            workerTableLookups[i] = data.tableLookups;
+            workerTableHits[i] = data.tableHits;
+          }
           completedWorkers++;
           console.log(`Worker ${data.workerId} completed (searched ${data.searchCount} states). ${completedWorkers}/${workers.length} done`);
 
           // Process solutions from this worker
-          if (data.coverage > bestCoverage) {
-            // This worker found better coverage - replace all solutions
+          if (exactMode) {
+            // tilings from different workers never overlap, no dedup needed
+            tilingCount += data.tilings;
+            for (const sol of data.solutions) {
+              if (topSolutions.length < keepLimit) topSolutions.push(sol);
+            }
+            if (tilingCount > 0) bestCoverage = boardSize;
+          } else if (data.score > bestScore) {
+            // This worker found a better score - replace all solutions
+            bestScore = data.score;
             bestCoverage = data.coverage;
             topSolutions = data.solutions || [];
             currentSolutionIndex = 0;
-            console.log(`Worker ${data.workerId} found best coverage! Coverage: ${bestCoverage}, ${topSolutions.length} solution(s)`);
-          } else if (data.coverage === bestCoverage && data.solutions) {
-            // Same coverage - merge solutions with proper deduplication
+            console.log(`Worker ${data.workerId} found best score! Coverage: ${bestCoverage}, ${topSolutions.length} solution(s)`);
+          } else if (data.score === bestScore && data.solutions) {
+            // Same score - merge solutions with proper deduplication
             const existingSignatures = new Set(topSolutions.map(s => getSolutionCellSignature(s)));
 
             for (const newSol of data.solutions) {
@@ -601,37 +1430,18 @@
           }
 
           if (completedWorkers >= workers.length) {
-            // All workers done
-            const elapsed = Date.now() - startTime;
-            console.log(`All workers complete! Searched ${totalSearchCount} states in ${elapsed}ms`);
-            console.log(`Best solution: ${bestCoverage} cells with ${topSolutions.length} solution(s) tied for top coverage`);
-
-            updateStats();
-            updateSolutionCounter();
-            statsStatus.textContent = solverShouldStop ? 'stopped' : 'complete';
-            solverRunning = false;
-            solveBtn.textContent = 'solve';
-
-            workers.forEach(w => w.terminate());
-            workers = [];
-
-            if (topSolutions.length > 0) {
-              saveBoardConfig(w, h, topSolutions[currentSolutionIndex]);
-              updateBoardDisplay();
-            } else {
-              renderBoard();
-            }
+            if (stopReason && exactMode) finishSolve(`${STOP_REASONS[stopReason]}: ${tilingCount.toLocaleString()} tilings found so far, maybe not all`);
+            else finishSolve(exactMode && tilingCount === 0 ? 'complete: no perfect tiling' : null);
           }
         }
-      };      worker.onerror = function(err) { console.error(`Worker ${i} error:`, err); };
-
-      // IMPORTANT: Each worker gets a different subset of first-piece placements to explore
-      console.log(`Worker ${i} assigned ${assignedPlacementIndices.length} initial placements (${startIdx}-${endIdx-1})`);
+      };
+      worker.onerror = function(err) { console.error(`Worker ${i} error:`, err); };
 
       worker.postMessage({
         type: 'START',
         data: {
-          pieces: pieces.map(p => ({ id: p.id, size: p.cells.length })),
+          pieces: workerPieces,
+          coverageWeight,
           boardSize,
           pieceOrder,
           workerId: i,
@@ -642,11 +1452,23 @@
           placementsTargets,
           piecePlacementStart,
           piecePlacementCount,
-          assignedPlacementIndices,
-          initialBestCoverage: bestCoverage
+          pinnedCells,
+          pinnedSolution,
+          initialBestScore: bestScore,
+          mode: exactMode ? 'exact' : 'maximize',
+          keepLimit,
+          deadline,
+          // the state limit is checked here against all workers' counts
+          progressMs: nodeLimit > 0 ? 100 : 1000,
+          tableBits
         }
       });
     }
+    console.log(`${queue.length} subtrees queued`);
+    dispatch();
+    checkpointTimer = setInterval(() => {
+      if (!finishing) requestCheckpoint();
+    }, CHECKPOINT_INTERVAL_MS);
   }
 
   function showPreviousSolution() {
@@ -670,56 +1492,742 @@
   function loadAndRenderCurrentSolution() {
     if (topSolutions.length === 0 || !topSolutions[currentSolutionIndex]) return;
 
-    const solution = topSolutions[currentSolutionIndex];
-    boardGrid.forEach(cell => {
-      boardGrid.set(cell.hex, null);
+    paintPlacements(topSolutions[currentSolutionIndex]);
+    solutionCounter.textContent = `${currentSolutionIndex + 1} of ${topSolutions.length}`;
+    selectedPlacement = -1;
+    renderBoard();
+    updateSolutionEditUI();
+  }
+
+  // (re)build the board grid from the shape and size inputs, dropping
+  // blocked cells that fell outside of it
+  function buildBoardGrid(){
+    const w = Math.max(1, parseInt(boardW.value, 10) || 1);
+    const h = Math.max(1, parseInt(boardH.value, 10) || 1);
+    const shape = boardShapeSelect.value;
+    boardGrid = new HexGrid.HexGrid();
+    if (shape === 'hexagon') {
+      boardGrid.generateHexagon(Math.max(0, parseInt(boardRadius.value, 10) || 0));
+    } else {
+      boardGrid.generateRect(w, h);
+    }
+    if (shape === 'custom') {
+      // the mask is painted over the columns x rows rectangle
+      boardMask.forEach(key => {
+        const [q, r] = key.split(',');
+        if (!boardGrid.has(new HexGrid.Hex(q, r))) boardMask.delete(key);
+      });
+      // while painting, the whole rectangle stays visible
+      if (!paintingMask) {
+        boardGrid.getCellsArray().forEach(cell => {
+          if (!boardMask.has(cell.hex.key())) boardGrid.remove(cell.hex);
+        });
+      }
+    }
+    blockedCells.forEach(key => {
+      const [q, r] = key.split(',');
+      const hex = new HexGrid.Hex(q, r);
+      if (!boardGrid.has(hex) || (shape === 'custom' && !boardMask.has(key))) {
+        blockedCells.delete(key);
+      }
     });
+    // drop pins that no longer fit the board
+    const kept = [];
+    pinnedPlacements.forEach(pl => {
+      if (pinFits(pl, kept)) kept.push(pl);
+    });
+    pinnedPlacements = kept;
+    paintPlacements(pinnedPlacements);
+  }
 
-    for (const placement of solution) {
-      const piece = pieces.find(p => p.id === placement.piece);
-      if (!piece) continue;
-      const anchor = new HexGrid.Hex(placement.anchor.q, placement.anchor.r);
+  // whether a pin lies on free board cells without overlapping other pins
+  function pinFits(placement, otherPins){
+    const piece = pieces.find(p => p.id === placement.piece);
+    if (!piece) return false;
+    const taken = new Set();
+    otherPins.forEach(pl => {
+      const other = pieces.find(p => p.id === pl.piece);
+      if (other) placementCells(other, pl).forEach(t => taken.add(t.key()));
+    });
+    return placementCells(piece, placement).every(t => {
+      const key = t.key();
+      return boardGrid.has(t) && !blockedCells.has(key) && !taken.has(key);
+    });
+  }
 
-      for (const off of piece.cells) {
-        const ro = HexGrid.rotate(off, placement.rot);
-        const target = HexGrid.add(anchor, ro);
-        if (boardGrid.has(target)) {
-          boardGrid.set(target, { color: piece.color });
-        }
+  // pin a copy of a piece with its anchor on the given cell; once every
+  // copy is pinned, the most recent pin of that piece moves instead
+  function pinPiece(pieceId, hex){
+    if (solverRunning || paintingMask || !boardGrid) return;
+    const piece = pieces.find(p => p.id === pieceId);
+    const pinsOfPiece = pinnedPlacements.filter(pl => pl.piece === pieceId);
+    const moved = pinsOfPiece.length >= piece.quantity ? pinsOfPiece[pinsOfPiece.length - 1] : null;
+    const others = pinnedPlacements.filter(pl => pl !== moved);
+    const placement = {piece: pieceId, anchor: {q: hex.q, r: hex.r}, rot: 0, mirror: false, pinned: true};
+    // try every rotation, starting with the unrotated piece
+    for (let rot = 0; rot < 6; rot++) {
+      placement.rot = rot;
+      if (pinFits(placement, others)) {
+        // pins are part of the collection snapshots, so they go through
+        // the same undo history
+        const before = collectionState();
+        pinnedPlacements = others.concat([placement]);
+        recordCollectionChange(before);
+        onPinsChanged();
+        return;
       }
     }
+    setBoardHint(`piece #${pieceId} does not fit there`);
+  }
 
-    solutionCounter.textContent = `${currentSolutionIndex + 1} of ${topSolutions.length}`;
-    renderBoard();
+  // rotate a pin clockwise to the next rotation that fits
+  function rotatePin(idx){
+    const pin = pinnedPlacements[idx];
+    const others = pinnedPlacements.filter((pl, i) => i !== idx);
+    for (let step = 1; step < 6; step++) {
+      const rotated = Object.assign({}, pin, {rot: (pin.rot + 6 - step) % 6});
+      if (pinFits(rotated, others)) {
+        const before = collectionState();
+        pinnedPlacements[idx] = rotated;
+        recordCollectionChange(before);
+        onPinsChanged();
+        return;
+      }
+    }
+    setBoardHint(`piece #${pin.piece} cannot rotate there`);
   }
 
-  function onClear(){
-    if (!boardGrid) return;
-    boardGrid.clearData();
+  // mirror a pin (if the piece may be reflected), keeping it in place
+  function flipPin(idx){
+    const pin = pinnedPlacements[idx];
+    const piece = pieces.find(p => p.id === pin.piece);
+    if (!canReflect(piece)) {
+      setBoardHint(`piece #${pin.piece} may not be reflected`);
+      return;
+    }
+    const others = pinnedPlacements.filter((pl, i) => i !== idx);
+    for (let step = 0; step < 6; step++) {
+      const flipped = Object.assign({}, pin, {mirror: !pin.mirror, rot: (pin.rot + step) % 6});
+      if (pinFits(flipped, others)) {
+        const before = collectionState();
+        pinnedPlacements[idx] = flipped;
+        recordCollectionChange(before);
+        onPinsChanged();
+        return;
+      }
+    }
+    setBoardHint(`piece #${pin.piece} cannot be flipped there`);
+  }
+
+  function unpin(idx){
+    const before = collectionState();
+    pinnedPlacements.splice(idx, 1);
+    recordCollectionChange(before);
+    onPinsChanged();
+  }
+
+  // index of the pin covering a board cell, or -1
+  function pinAt(hex){
+    const key = hex.key();
+    return pinnedPlacements.findIndex(pl => {
+      const piece = pieces.find(p => p.id === pl.piece);
+      return piece && placementCells(piece, pl).some(t => t.key() === key);
+    });
+  }
+
+  // pins changed: any displayed solution no longer matches them
+  function onPinsChanged(){
     topSolutions = [];
     currentSolutionIndex = 0;
     solutionCyclingEl.style.display = 'none';
     saveBoardConfig(boardW.value, boardH.value, []);
+    paintPlacements(pinnedPlacements);
+    setBoardHint();
     renderBoard();
+    renderPiecesList();
   }
 
-  function renderBoard(){
-    if (!boardGrid) return;
-    boardContainer.innerHTML = '';
-    const opt = {
-      size: HEX_SIZE,
-      showCoords: false,
-      spacing: 0,
-    };
-    renderer = new HexGrid.Renderer(boardContainer, boardGrid, opt);
-    // force flat-top hex shape for all board hexes
-    const cells = boardContainer.querySelectorAll('.hexgrid-cell');
-    cells.forEach((el)=>{
-      el.style.clipPath = 'polygon(25% 0%, 75% 0%, 100% 50%, 75% 100%, 25% 100%, 0% 50%)';
-      el.style.width = (HEX_SIZE * 2) + 'px';
-      el.style.height = (HEX_SIZE * Math.sqrt(3)) + 'px';
-      // ensure hex cells render above the SVG overlay
-      el.style.zIndex = 110;
+  // show only the inputs relevant to the selected board shape
+  function updateBoardShapeInputs(){
+    const shape = boardShapeSelect.value;
+    document.querySelectorAll('.board-rect-input').forEach(el => {
+      el.style.display = shape === 'hexagon' ? 'none' : '';
+    });
+    document.querySelectorAll('.board-radius-input').forEach(el => {
+      el.style.display = shape === 'hexagon' ? '' : 'none';
+    });
+    paintMaskBtn.style.display = shape === 'custom' ? '' : 'none';
+    paintMaskBtn.textContent = paintingMask ? 'done painting' : 'paint shape';
+    setBoardHint();
+  }
+
+  // show a message under the board, or the usage hint for the current mode
+  function setBoardHint(msg){
+    if (msg) boardHint.textContent = msg;
+    else if (paintingMask) boardHint.textContent = 'click cells to add or remove them from the shape';
+    else {
+      boardHint.textContent = 'click an empty cell to block or unblock it, ' +
+        'drag a piece here to pin it (click to rotate, shift-click to flip, right-click to unpin)';
+    }
+  }
+
+  function onBoardShapeChange(){
+    if (solverRunning) return;
+    if (boardShapeSelect.value !== 'custom') paintingMask = false;
+    // start a fresh custom shape from the full rectangle
+    if (boardShapeSelect.value === 'custom' && boardMask.size === 0) {
+      const rect = new HexGrid.HexGrid();
+      rect.generateRect(Math.max(1, parseInt(boardW.value, 10) || 1),
+        Math.max(1, parseInt(boardH.value, 10) || 1));
+      rect.forEach(cell => boardMask.add(cell.hex.key()));
+    }
+    updateBoardShapeInputs();
+    buildBoardGrid();
+    topSolutions = [];
+    currentSolutionIndex = 0;
+    solutionCyclingEl.style.display = 'none';
+    saveBoardConfig(boardW.value, boardH.value, []);
+    selectedPlacement = -1;
+    renderBoard();
+    updateSolutionEditUI();
+  }
+
+  function onTogglePaintMask(){
+    if (solverRunning) return;
+    stopSolutionEdit();
+    paintingMask = !paintingMask;
+    onBoardShapeChange();
+  }
+
+  // clicking an empty board cell toggles it between free and blocked, or
+  // in or out of the custom shape while painting
+  function onBoardCellClick(hex, ev){
+    if (solverRunning || !boardGrid) return;
+    if (paintingMask) {
+      const key = hex.key();
+      if (boardMask.has(key)) boardMask.delete(key);
+      else boardMask.add(key);
+      blockedCells.delete(key);
+      saveBoardConfig(boardW.value, boardH.value, []);
+      renderBoard();
+      return;
+    }
+    if (editingSolution) {
+      onSolutionEditClick(hex);
+      return;
+    }
+    const pinIdx = pinAt(hex);
+    if (pinIdx !== -1) {
+      if (ev && ev.shiftKey) flipPin(pinIdx);
+      else rotatePin(pinIdx);
+      return;
+    }
+    const cell = boardGrid.get(hex);
+    if (!cell || (cell.data && cell.data.color)) return;
+    const key = hex.key();
+    if (blockedCells.has(key)) blockedCells.delete(key);
+    else blockedCells.add(key);
+    saveBoardConfig(boardW.value, boardH.value, topSolutions[currentSolutionIndex]);
+    renderBoard();
+  }
+
+  // coverage and problems of a hand-edited solution: cells covered twice or
+  // blocked cells covered go in conflicts, cells off the board are counted
+  function solutionIssues(solution){
+    const counts = new Map();
+    let offBoard = 0;
+    solution.forEach(pl => {
+      const piece = pieces.find(p => p.id === pl.piece);
+      if (!piece) return;
+      placementCells(piece, pl).forEach(t => {
+        if (!boardGrid.has(t)) offBoard++;
+        else counts.set(t.key(), (counts.get(t.key()) || 0) + 1);
+      });
+    });
+    const conflicts = new Set();
+    let coverage = 0;
+    counts.forEach((n, key) => {
+      if (n > 1 || blockedCells.has(key)) conflicts.add(key);
+      if (!blockedCells.has(key)) coverage++;
+    });
+    return {coverage, conflicts, offBoard};
+  }
+
+  // a copy of the displayed solution (or of the pins when there is none)
+  function editedSolution(){
+    const shown = topSolutions[currentSolutionIndex];
+    return (shown && shown.length ? shown : pinnedPlacements)
+      .map(pl => Object.assign({}, pl, {anchor: {q: pl.anchor.q, r: pl.anchor.r}}));
+  }
+
+  // make a hand-edited solution the current one
+  function setEditedSolution(solution){
+    record({kind: 'solution', before: editedSolution(), after: solution});
+    if (topSolutions.length === 0) {
+      topSolutions = [solution];
+      currentSolutionIndex = 0;
+    } else {
+      topSolutions[currentSolutionIndex] = solution;
+    }
+    saveBoardConfig(boardW.value, boardH.value, solution);
+    paintPlacements(solution);
+    renderBoard();
+    updateSolutionEditUI();
+  }
+
+  function onToggleEditSolution(){
+    if (solverRunning || !boardGrid) return;
+    if (editingSolution) {
+      stopSolutionEdit();
+      return;
+    }
+    if (paintingMask) onTogglePaintMask();
+    editingSolution = true;
+    selectedPlacement = -1;
+    updateSolutionEditUI();
+    renderBoard();
+  }
+
+  function stopSolutionEdit(){
+    if (!editingSolution) return;
+    editingSolution = false;
+    selectedPlacement = -1;
+    updateSolutionEditUI();
+    setBoardHint();
+    renderBoard();
+  }
+
+  function updateSolutionEditUI(){
+    editSolutionBtn.textContent = editingSolution ? 'done editing' : 'edit solution';
+    solutionEditTools.style.display = editingSolution ? '' : 'none';
+    if (!editingSolution || !boardGrid) return;
+    const solution = editedSolution();
+    const free = boardGrid.getCellsArray().filter(c => !blockedCells.has(c.hex.key())).length;
+    const issues = solutionIssues(solution);
+    const problems = [];
+    if (issues.conflicts.size) problems.push(`${issues.conflicts.size} cell${issues.conflicts.size === 1 ? '' : 's'} in conflict`);
+    if (issues.offBoard) problems.push(`${issues.offBoard} cell${issues.offBoard === 1 ? '' : 's'} off the board`);
+    solutionEditStatus.textContent = `coverage ${issues.coverage}/${free} cells, ${solution.length} pieces` +
+      (problems.length ? ` — invalid: ${problems.join(', ')}` : ' — valid');
+    solutionEditStatus.style.color = problems.length ? '#c00' : '';
+    statsCoverage.textContent = `${issues.coverage}/${free}`;
+    statsPieces.textContent = solution.length;
+    const selected = solution[selectedPlacement];
+    setBoardHint(selected
+      ? `piece #${selected.piece} selected: click a cell to move it there, arrow keys nudge it, ` +
+        'r rotates, f flips, delete removes, esc deselects'
+      : 'click a piece to select it, drag a piece from the list to add it');
+  }
+
+  // index of the topmost placement covering a cell, or -1
+  function placementAt(solution, hex){
+    const key = hex.key();
+    for (let i = solution.length - 1; i >= 0; i--) {
+      const piece = pieces.find(p => p.id === solution[i].piece);
+      if (piece && placementCells(piece, solution[i]).some(t => t.key() === key)) return i;
+    }
+    return -1;
+  }
+
+  function onSolutionEditClick(hex){
+    const solution = editedSolution();
+    const idx = placementAt(solution, hex);
+    if (idx !== -1 && idx !== selectedPlacement) {
+      if (solution[idx].pinned) {
+        setBoardHint(`piece #${solution[idx].piece} is pinned, change it outside of edit mode`);
+        return;
+      }
+      selectedPlacement = idx;
+      updateSolutionEditUI();
+      renderBoard();
+      return;
+    }
+    if (selectedPlacement === -1) return;
+    if (idx === selectedPlacement) {
+      selectedPlacement = -1;
+      updateSolutionEditUI();
+      renderBoard();
+      return;
+    }
+    // move the selected piece so its center lands on the clicked cell
+    solution[selectedPlacement].anchor = {q: hex.q, r: hex.r};
+    setEditedSolution(solution);
+  }
+
+  function moveSelected(dq, dr){
+    const solution = editedSolution();
+    const pl = solution[selectedPlacement];
+    if (!pl) return;
+    // step the offset coordinates themselves: HexGrid.add would read the
+    // step as a position and shift odd columns by half a row
+    pl.anchor = {q: pl.anchor.q + dq, r: pl.anchor.r + dr};
+    setEditedSolution(solution);
+  }
+
+  function rotateSelected(){
+    const solution = editedSolution();
+    const pl = solution[selectedPlacement];
+    if (!pl) return;
+    // clockwise, like pins
+    pl.rot = (pl.rot + 5) % 6;
+    setEditedSolution(solution);
+  }
+
+  function flipSelected(){
+    const solution = editedSolution();
+    const pl = solution[selectedPlacement];
+    if (!pl) return;
+    if (!canReflect(pieces.find(p => p.id === pl.piece))) {
+      setBoardHint(`piece #${pl.piece} may not be reflected`);
+      return;
+    }
+    pl.mirror = !pl.mirror;
+    setEditedSolution(solution);
+  }
+
+  function removeSelected(){
+    const solution = editedSolution();
+    if (!solution[selectedPlacement]) return;
+    solution.splice(selectedPlacement, 1);
+    selectedPlacement = -1;
+    setEditedSolution(solution);
+  }
+
+  // drop a copy of a piece into the edited solution, if one is left
+  function addToSolution(pieceId, hex){
+    const piece = pieces.find(p => p.id === pieceId);
+    const solution = editedSolution();
+    if (solution.filter(pl => pl.piece === pieceId).length >= piece.quantity) {
+      setBoardHint(`every copy of piece #${pieceId} is already placed`);
+      return;
+    }
+    solution.push({piece: pieceId, anchor: {q: hex.q, r: hex.r}, rot: 0, mirror: false});
+    selectedPlacement = solution.length - 1;
+    setEditedSolution(solution);
+  }
+
+  function onSolutionEditKey(ev){
+    if (!editingSolution || selectedPlacement === -1 || ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    if (ev.target && ev.target.matches && ev.target.matches('input, textarea, select')) return;
+    const moves = {ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1]};
+    const key = ev.key.length === 1 ? ev.key.toLowerCase() : ev.key;
+    if (moves[key]) moveSelected(moves[key][0], moves[key][1]);
+    else if (key === 'r') rotateSelected();
+    else if (key === 'f') flipSelected();
+    else if (key === 'Delete' || key === 'Backspace') removeSelected();
+    else if (key === 'Escape') {
+      selectedPlacement = -1;
+      updateSolutionEditUI();
+      renderBoard();
+    } else return;
+    ev.preventDefault();
+  }
+
+  // the displayed solution as a standalone SVG document: the same hexes,
+  // colors, number labels and link lines as the board, without the page
+  function solutionSvg(){
+    const size = HEX_SIZE;
+    const hexH = Math.sqrt(3) * size;
+    const padding = 10;
+    const center = hex => [1.5 * size * hex.q, hexH * hex.r + (Math.abs(hex.q) % 2) * hexH / 2];
+    const boardCells = boardGrid.getCellsArray();
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    boardCells.forEach(cell => {
+      const [x, y] = center(cell.hex);
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    });
+    if (boardCells.length === 0) minX = maxX = minY = maxY = 0;
+    const offX = -minX + size + padding, offY = -minY + hexH / 2 + padding;
+    const width = Math.ceil(maxX - minX + 2 * size + 2 * padding);
+    const height = Math.ceil(maxY - minY + hexH + 2 * padding);
+    const pt = ([x, y]) => `${(x + offX).toFixed(1)},${(y + offY).toFixed(1)}`;
+
+    const shown = topSolutions[currentSolutionIndex];
+    const solution = shown && shown.length ? shown : pinnedPlacements;
+    const colors = boardPieceColors();
+    const owner = new Map();
+    solution.forEach(pl => {
+      const piece = pieces.find(p => p.id === pl.piece);
+      if (piece) placementCells(piece, pl).forEach(t => { if (boardGrid.has(t)) owner.set(t.key(), piece.id); });
+    });
+
+    const out = [];
+    out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`);
+    out.push(`<rect width="${width}" height="${height}" fill="#fff"/>`);
+    boardCells.forEach(cell => {
+      const [cx, cy] = center(cell.hex);
+      const corners = [0, 1, 2, 3, 4, 5].map(k => pt([cx + size * Math.cos(k * Math.PI / 3), cy + size * Math.sin(k * Math.PI / 3)]));
+      const key = cell.hex.key();
+      const fill = owner.has(key) ? colors[owner.get(key)] : blockedCells.has(key) ? '#666' : '#f5f5f5';
+      out.push(`<polygon points="${corners.join(' ')}" fill="${fill}"/>`);
+    });
+    // links: a spanning tree over each piece's neighboring cells and, like
+    // the board overlay, a line between the closest cells of separate parts
+    // of a disconnected piece
+    const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+    solution.forEach(pl => {
+      const piece = pieces.find(p => p.id === pl.piece);
+      if (!piece) return;
+      const centers = placementCells(piece, pl).filter(t => boardGrid.has(t)).map(center);
+      const seen = new Set();
+      const components = [];
+      const segments = [];
+      for (let s0 = 0; s0 < centers.length; s0++) {
+        if (seen.has(s0)) continue;
+        seen.add(s0);
+        const comp = [s0];
+        for (let k = 0; k < comp.length; k++) {
+          const i = comp[k];
+          centers.forEach((c, j) => {
+            if (seen.has(j) || dist(c, centers[i]) > hexH * 1.01) return;
+            seen.add(j);
+            comp.push(j);
+            segments.push(`${pt(centers[i])} ${pt(c)}`);
+          });
+        }
+        components.push(comp);
+      }
+      // join the parts one at a time, each to the nearest part already joined
+      const joined = components.slice(0, 1);
+      const rest = components.slice(1);
+      while (rest.length) {
+        let best = null;
+        rest.forEach((comp, ri) => joined.forEach(other => comp.forEach(i => other.forEach(j => {
+          const d = dist(centers[i], centers[j]);
+          if (!best || d < best.d) best = {d, ri, i, j};
+        }))));
+        segments.push(`${pt(centers[best.j])} ${pt(centers[best.i])}`);
+        joined.push(rest.splice(best.ri, 1)[0]);
+      }
+      segments.forEach(points => {
+        out.push(`<polyline points="${points}" fill="none" stroke="#000" stroke-opacity="0.5" stroke-width="6" stroke-linecap="round"/>`);
+        out.push(`<polyline points="${points}" fill="none" stroke="${colors[piece.id]}" stroke-opacity="0.85" stroke-width="4" stroke-linecap="round"/>`);
+      });
+    });
+    owner.forEach((id, key) => {
+      const [q, r] = key.split(',').map(Number);
+      const [x, y] = center(new HexGrid.Hex(q, r)).map((v, i) => v + (i ? offY : offX));
+      out.push(`<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" text-anchor="middle" dominant-baseline="central" ` +
+        `font-family="sans-serif" font-weight="bold" font-size="16" fill="#fff" stroke="#000" stroke-width="3" ` +
+        `paint-order="stroke">${id}</text>`);
+    });
+    out.push('</svg>');
+    return out.join('\n');
+  }
+
+  function onExportSvg(){
+    if (!boardGrid) return;
+    downloadBlob(new Blob([solutionSvg()], {type: 'image/svg+xml'}), 'hex-solution.svg');
+  }
+
+  // draw the SVG onto a canvas at twice the size for a crisp PNG
+  function onExportPng(){
+    if (!boardGrid) return;
+    const svgText = solutionSvg();
+    const url = URL.createObjectURL(new Blob([svgText], {type: 'image/svg+xml'}));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width * 2;
+      canvas.height = img.height * 2;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(2, 2);
+      ctx.drawImage(img, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => downloadBlob(blob, 'hex-solution.png'), 'image/png');
+    };
+    img.onerror = () => URL.revokeObjectURL(url);
+    img.src = url;
+  }
+
+  // placing instructions for a solution, in an order that works on a real
+  // board: pinned pieces first, then each piece goes against the edge of
+  // the board (or a blocked cell) or against a piece already placed, so it
+  // can be pushed into position instead of floating in the open. Among the
+  // pieces that qualify the leftmost, then topmost (by top-left cell) goes
+  // first. Each step is {placement, cells, text, ref (top-left cell), pinned}.
+  function solutionSteps(solution){
+    const steps = [];
+    solution.forEach(pl => {
+      const piece = pieces.find(p => p.id === pl.piece);
+      if (!piece) return;
+      const cells = placementCells(piece, pl);
+      let ref = cells[0];
+      cells.forEach(h => {
+        if (h.q < ref.q || (h.q === ref.q && h.r < ref.r)) ref = h;
+      });
+      // rotations are stored counter-clockwise; say the shorter way round
+      const turns = (6 - pl.rot) % 6;
+      const how = [];
+      if (pl.mirror) how.push('flip it over');
+      if (turns === 0) how.push('no rotation');
+      else if (turns <= 3) how.push(`rotate ${turns}× clockwise`);
+      else how.push(`rotate ${6 - turns}× counter-clockwise`);
+      const text = `piece #${pl.piece}${pl.pinned ? ' (pinned)' : ''}: ${how.join(', ')}, ` +
+        `place its top-left cell at column ${ref.q + 1}, row ${ref.r + 1}`;
+      steps.push({placement: pl, cells, text, ref, pinned: !!pl.pinned});
+    });
+    steps.sort((a, b) => (b.pinned - a.pinned) || (a.ref.q - b.ref.q) || (a.ref.r - b.ref.r));
+
+    const placed = new Set();
+    const supported = st => st.cells.some(h => NEIGHBOR_OFFSETS.some(d => {
+      const n = HexGrid.add(h, d);
+      return !boardGrid.has(n) || blockedCells.has(n.key()) || placed.has(n.key());
+    }));
+    const ordered = [];
+    while (steps.length > 0) {
+      let i = steps[0].pinned ? 0 : steps.findIndex(supported);
+      // nothing left touches the edge or a placed piece (a group of pieces
+      // ringed by empty cells): start that group with its leftmost piece
+      if (i === -1) i = 0;
+      const st = steps.splice(i, 1)[0];
+      st.cells.forEach(h => placed.add(h.key()));
+      ordered.push(st);
+    }
+    return ordered;
+  }
+
+  function stepKey(pl){
+    return `${pl.piece}@${pl.anchor.q},${pl.anchor.r}/${pl.rot}${pl.mirror ? 'm' : ''}`;
+  }
+
+  function renderSolutionSteps(steps, current){
+    const shown = topSolutions[currentSolutionIndex];
+    solutionStepsEl.style.display = shown && shown.length && steps.length ? '' : 'none';
+    solutionStepsList.innerHTML = '';
+    steps.forEach((st, i) => {
+      const li = document.createElement('li');
+      li.textContent = st.text;
+      li.style.cursor = 'pointer';
+      if (i === current) li.style.fontWeight = 'bold';
+      li.addEventListener('click', () => {
+        highlightedStep = i === current ? null : stepKey(st.placement);
+        renderBoard();
+      });
+      solutionStepsList.appendChild(li);
+    });
+  }
+
+  function moveStepHighlight(delta){
+    const steps = solutionSteps(topSolutions[currentSolutionIndex] || []);
+    if (steps.length === 0) return;
+    const current = steps.findIndex(st => stepKey(st.placement) === highlightedStep);
+    const next = current === -1 ? (delta > 0 ? 0 : steps.length - 1) : current + delta;
+    highlightedStep = next >= 0 && next < steps.length ? stepKey(steps[next].placement) : null;
+    renderBoard();
+  }
+
+  async function onCopySteps(){
+    const steps = solutionSteps(topSolutions[currentSolutionIndex] || []);
+    const text = steps.map((st, i) => `${i + 1}. ${st.text}`).join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+      setBoardHint('steps copied to the clipboard');
+    } catch(e) {
+      setBoardHint('could not copy the steps, select them in the list instead');
+    }
+  }
+
+  function onClear(){
+    if (!boardGrid) return;
+    const shown = topSolutions[currentSolutionIndex] || [];
+    if (shown.length) record({kind: 'solution', before: shown, after: []});
+    boardGrid.clearData();
+    topSolutions = [];
+    currentSolutionIndex = 0;
+    solutionCyclingEl.style.display = 'none';
+    saveBoardConfig(boardW.value, boardH.value, []);
+    paintPlacements(pinnedPlacements);
+    selectedPlacement = -1;
+    renderBoard();
+    updateSolutionEditUI();
+  }
+
+  // color of each piece on the board by id: its palette color, or a
+  // distinct one per piece in high contrast mode
+  function boardPieceColors(){
+    const pieceColorVariations = {};
+    const isHighContrast = highContrastCheckbox.checked;
+
+
+    const base_palette = [
+      "#FF6B6B", // red
+      "#4ECDC4", // turquoise
+      "#FFD93D", // yellow
+      "#1A535C", // teal
+      "#FF9F1C", // orange
+      "#5C7AEA", // periwinkle
+      "#6BCB77", // green
+      "#C86BFA", // violet
+      "#F06595", // pink
+      "#00BBF9"  // light blue
+    ]
+
+    function highContrastColor(i, n) {
+      if (i < base_palette.length) {
+        return base_palette[i]
+      }
+      const hue = (360 / n) * i
+      const lightness = 65
+      const chroma = 70
+      return `lch(${lightness}% ${chroma} ${hue})`
+    }
+
+    // Assign each piece a unique high-contrast color if enabled
+    if (isHighContrast) {
+      pieces.forEach((p, i) => {
+        pieceColorVariations[p.id] = highContrastColor(i, pieces.length);
+      });
+    } else {
+      // Not high-contrast: use base color for all
+      pieces.forEach(p => {
+        pieceColorVariations[p.id] = p.color;
+      });
+    }
+    return pieceColorVariations;
+  }
+
+  function renderBoard(){
+    if (!boardGrid) return;
+    boardContainer.innerHTML = '';
+    const opt = {
+      size: HEX_SIZE,
+      showCoords: false,
+      spacing: 0,
+      enableSelection: false
+    };
+    renderer = new HexGrid.Renderer(boardContainer, boardGrid, opt);
+    // force flat-top hex shape for all board hexes
+    const cells = boardContainer.querySelectorAll('.hexgrid-cell');
+    cells.forEach((el)=>{
+      el.style.clipPath = 'polygon(25% 0%, 75% 0%, 100% 50%, 75% 100%, 25% 100%, 0% 50%)';
+      el.style.width = (HEX_SIZE * 2) + 'px';
+      el.style.height = (HEX_SIZE * Math.sqrt(3)) + 'px';
+      // ensure hex cells render above the SVG overlay
+      el.style.zIndex = 110;
+      const hex = new HexGrid.Hex(el.dataset.q, el.dataset.r);
+      if (blockedCells.has(hex.key())) el.classList.add('blocked');
+      if (paintingMask && !boardMask.has(hex.key())) el.classList.add('masked');
+      el.addEventListener('click', (ev)=> onBoardCellClick(hex, ev));
+      el.addEventListener('contextmenu', (ev)=> {
+        const pinIdx = pinAt(hex);
+        if (pinIdx === -1 || solverRunning) return;
+        ev.preventDefault();
+        unpin(pinIdx);
+      });
+      el.addEventListener('dragover', (ev)=> {
+        if (solverRunning || paintingMask) return;
+        ev.preventDefault();
+        ev.dataTransfer.dropEffect = 'copy';
+      });
+      el.addEventListener('drop', (ev)=> {
+        ev.preventDefault();
+        const pieceId = parseInt(ev.dataTransfer.getData('text/plain'), 10);
+        if (!pieces.some(p => p.id === pieceId)) return;
+        if (editingSolution) addToSolution(pieceId, hex);
+        else pinPiece(pieceId, hex);
+      });
     });
 
     // Add piece number label to each placed piece and draw links between numbered hexes
@@ -732,6 +2240,9 @@
       const d = JSON.parse(localStorage.getItem('hex_board'));
       if (d && Array.isArray(d.solution)) solution = d.solution;
     } catch(e) {}
+    // without a solution, show what has been pinned so far
+    if (solution.length === 0) solution = pinnedPlacements;
+    const pinnedKeys = new Set();
 
     // Helper functions for RGB <-> HSL conversion
     function rgbToHsl(r, g, b) {
@@ -790,54 +2301,17 @@
     });
 
     // Create color variations for each piece
-    const pieceColorVariations = {};
+    const pieceColorVariations = boardPieceColors();
     const isHighContrast = highContrastCheckbox.checked;
 
-
-    const base_palette = [
-      "#FF6B6B", // red
-      "#4ECDC4", // turquoise
-      "#FFD93D", // yellow
-      "#1A535C", // teal
-      "#FF9F1C", // orange
-      "#5C7AEA", // periwinkle
-      "#6BCB77", // green
-      "#C86BFA", // violet
-      "#F06595", // pink
-      "#00BBF9"  // light blue
-    ]
-
-    function highContrastColor(i, n) {
-      if (i < base_palette.length) {
-        return base_palette[i]
-      }
-      const hue = (360 / n) * i
-      const lightness = 65
-      const chroma = 70
-      return `lch(${lightness}% ${chroma} ${hue})`
-    }
-
-    // Assign each piece a unique high-contrast color if enabled
-    if (isHighContrast) {
-      pieces.forEach((p, i) => {
-        pieceColorVariations[p.id] = highContrastColor(i, pieces.length);
-      });
-    } else {
-      // Not high-contrast: use base color for all
-      pieces.forEach(p => {
-        pieceColorVariations[p.id] = p.color;
-      });
-    }
-
     // For each solution placement, mark the cells with varied colors
     solution.forEach(s => {
       const piece = pieces.find(p => p.id === s.piece);
       if (!piece) return;
       const variedColor = pieceColorVariations[piece.id] || piece.color;
-      piece.cells.forEach(off => {
-        const ro = HexGrid.rotate(off, s.rot);
-        const target = HexGrid.add(new HexGrid.Hex(s.anchor.q, s.anchor.r), ro);
+      placementCells(piece, s).forEach(target => {
         pieceMap.set(target.key(), piece.id);
+        if (s.pinned) pinnedKeys.add(target.key());
 
         // Apply the varied color to the cell
         const cell = boardGrid.get(target);
@@ -850,11 +2324,34 @@
       });
     });
 
+    // step by step: the highlighted step stands out, later ones are faded
+    const steps = solutionSteps(solution);
+    const stepIdx = steps.findIndex(st => stepKey(st.placement) === highlightedStep);
+    if (stepIdx === -1) highlightedStep = null;
+    const stepKeys = new Set(), laterKeys = new Set();
+    steps.forEach((st, i) => {
+      if (stepIdx !== -1 && i >= stepIdx) st.cells.forEach(t => (i === stepIdx ? stepKeys : laterKeys).add(t.key()));
+    });
+
+    // while editing by hand, show the selected piece and cells in conflict
+    const issues = editingSolution ? solutionIssues(solution) : null;
+    const selectedKeys = new Set();
+    if (editingSolution && solution[selectedPlacement]) {
+      const sel = solution[selectedPlacement];
+      const piece = pieces.find(p => p.id === sel.piece);
+      if (piece) placementCells(piece, sel).forEach(t => selectedKeys.add(t.key()));
+    }
+
     // Add number label to each cell if it belongs to a piece
     cells.forEach((el)=>{
       const q = +el.dataset.q;
       const r = +el.dataset.r;
       const key = q + ',' + r;
+      if (pinnedKeys.has(key)) el.classList.add('pinned');
+      if (issues && issues.conflicts.has(key)) el.classList.add('conflict');
+      if (selectedKeys.has(key)) el.classList.add('selected');
+      if (stepKeys.has(key)) el.classList.add('step-current');
+      else if (laterKeys.has(key)) el.classList.add('step-later');
       if (pieceMap.has(key)) {
         const num = pieceMap.get(key);
         let label = el.querySelector('.piece-num-label');
@@ -895,6 +2392,8 @@
         console.log('renderBoard: pieceMap entries:', [...pieceMap.entries()]);
       } catch(e) { console.error(e); }
 
+    renderSolutionSteps(steps, stepIdx);
+
     // Create an SVG overlay under the hex cells to draw links for each piece
     // Remove existing overlay if present
     let existing = boardContainer.querySelector('#piece-links-overlay');
@@ -917,9 +2416,7 @@
       const piece = pieces.find(p => p.id === s.piece);
       if (!piece) return;
       const cellsWithCenters = [];
-      piece.cells.forEach(off => {
-        const ro = HexGrid.rotate(off, s.rot);
-        const target = HexGrid.add(new HexGrid.Hex(s.anchor.q, s.anchor.r), ro);
+      placementCells(piece, s).forEach(target => {
         const sel = boardContainer.querySelector(`.hexgrid-cell[data-q="${target.q}"][data-r="${target.r}"]`);
         if (sel) {
           const rect = sel.getBoundingClientRect();
@@ -1096,79 +2593,766 @@
     try {
       const d = JSON.parse(localStorage.getItem('hex_pieces'));
       if (d && Array.isArray(d.pieces)) {
-        pieces = d.pieces.map(p => ({
-          id: p.id,
-          colorKey: p.colorKey,
-          color: PALETTE[p.colorKey],
-          cells: (p.cells||[]).map(h => new HexGrid.Hex(h.q, h.r))
-        }));
+        pieces = d.pieces.map(pieceFromData);
         pieceIdSeq = d.seq || (pieces.length+1);
       }
     } catch(e) {}
   }
+  function saveOptions(){
+    localStorage.setItem('hex_options', JSON.stringify({
+      allowRotations: allowRotationsCheckbox.checked,
+      allowReflections: allowReflectionsCheckbox.checked,
+      highContrast: highContrastCheckbox.checked,
+      objective: objectiveSelect.value,
+      mode: solverModeSelect.value,
+      timeLimit: timeLimitInput.value,
+      nodeLimit: nodeLimitInput.value
+    }));
+  }
+  function loadOptions(){
+    let d = null;
+    try {
+      d = JSON.parse(localStorage.getItem('hex_options'));
+    } catch(e) {}
+    d = d || {};
+    allowRotationsCheckbox.checked = d.allowRotations !== false;
+    allowReflectionsCheckbox.checked = !!d.allowReflections;
+    highContrastCheckbox.checked = !!d.highContrast;
+    if (d.objective) objectiveSelect.value = d.objective;
+    if (d.mode) solverModeSelect.value = d.mode;
+    timeLimitInput.value = d.timeLimit || '';
+    nodeLimitInput.value = d.nodeLimit || '';
+    updateObjectiveSelect();
+  }
+  // the objective only applies when maximizing
+  function updateObjectiveSelect(){
+    objectiveSelect.disabled = solverModeSelect.value !== 'maximize';
+  }
+  function pieceFromData(p){
+    return {
+      id: p.id,
+      colorKey: p.colorKey,
+      color: PALETTE[p.colorKey],
+      cells: (p.cells||[]).map(h => new HexGrid.Hex(h.q, h.r)),
+      quantity: p.quantity || 1,
+      allowMirror: !!p.allowMirror
+    };
+  }
 
+  function boardConfig(w, h, solution){
+    return {
+      w: Number(w),
+      h: Number(h),
+      solution: solution||[],
+      shape: boardShapeSelect.value,
+      radius: Number(boardRadius.value),
+      mask: [...boardMask],
+      blocked: [...blockedCells],
+      pinned: pinnedPlacements
+    };
+  }
   function saveBoardConfig(w, h, solution){
-    localStorage.setItem('hex_board', JSON.stringify({w: Number(w), h: Number(h), solution: solution||[]}));
+    localStorage.setItem('hex_board', JSON.stringify(boardConfig(w, h, solution)));
   }
   function loadBoardConfig(){
     try {
-      const d = JSON.parse(localStorage.getItem('hex_board'));
-      if (d && d.w && d.h) {
-        boardW.value = d.w;
-        boardH.value = d.h;
-        // reconstruct solution if present
-        if (Array.isArray(d.solution) && d.solution.length && pieces.length) {
-          boardGrid = new HexGrid.HexGrid();
-          boardGrid.generateRect(d.w, d.h);
+      applyBoardConfig(JSON.parse(localStorage.getItem('hex_board')));
+    } catch(e) {}
+  }
+  function applyBoardConfig(d){
+    if (d && d.w && d.h) {
+      boardW.value = d.w;
+      boardH.value = d.h;
+      if (d.shape) boardShapeSelect.value = d.shape;
+      if (d.radius !== undefined) boardRadius.value = d.radius;
+      boardMask = new Set(Array.isArray(d.mask) ? d.mask : []);
+      blockedCells = new Set(Array.isArray(d.blocked) ? d.blocked : []);
+      pinnedPlacements = Array.isArray(d.pinned) ? d.pinned : [];
+      buildBoardGrid();
+      // reconstruct solution if present
+      if (Array.isArray(d.solution) && d.solution.length && pieces.length) {
+        topSolutions = [d.solution];
+        currentSolutionIndex = 0;
+        paintPlacements(d.solution);
+        // After reconstructing, run a consistency check comparing the saved
+        // rotated offsets with the actually placed offsets so we can detect
+        // mismatches (this helps debugging mangled pieces from saved data).
+        try {
           d.solution.forEach(s => {
             const piece = pieces.find(p => p.id === s.piece);
             if (!piece) return;
-            piece.cells.forEach(off => {
-              const ro = HexGrid.rotate(off, s.rot);
-              const target = HexGrid.add(new HexGrid.Hex(s.anchor.q, s.anchor.r), ro);
-              if (boardGrid.has(target)) {
-                boardGrid.set(target, {color: piece.color});
-              }
+            const rotated = orientCells(piece, s.rot, s.mirror);
+            const placed = rotated.map(rh => HexGrid.add(new HexGrid.Hex(s.anchor.q, s.anchor.r), rh));
+            const placedInBoard = placed.filter(t => boardGrid.has(t));
+            const placedKeys = new Set(placedInBoard.map(t => t.key()));
+            // find board cells that contain this piece id by color match
+            const actualKeys = new Set();
+            boardGrid.forEach(c => {
+              if (c.data && c.data.color === piece.color) actualKeys.add(c.hex.key());
             });
+            const rotKeys = new Set(rotated.map(h => h.q+','+h.r));
+            const placedOffsetKeys = new Set(placedInBoard.map(t => {
+              const offset = HexGrid.subtract(t, new HexGrid.Hex(s.anchor.q, s.anchor.r));
+              return offset.q + ',' + offset.r;
+            }));
+            const equal = rotKeys.size === placedOffsetKeys.size && [...rotKeys].every(k => placedOffsetKeys.has(k));
+            if (!equal) {
+              console.error('loadBoardConfig: placement mismatch for piece', piece.id, 'anchor', s.anchor, 'rot', s.rot, 'mirror', !!s.mirror);
+              console.error('expected rotated offsets:', [...rotKeys]);
+              console.error('placed offsets on board:', [...placedOffsetKeys]);
+              // mark actual placed cells (by color match) and expected cells
+              // to make it obvious in the UI after render
+              // We'll store markers to apply after renderBoard draws the DOM
+              piece.__debug_expected = placed.map(t => t.key());
+              piece.__debug_actual = [...actualKeys];
+            }
           });
-          // After reconstructing, run a consistency check comparing the saved
-          // rotated offsets with the actually placed offsets so we can detect
-          // mismatches (this helps debugging mangled pieces from saved data).
-          try {
-            d.solution.forEach(s => {
-              const piece = pieces.find(p => p.id === s.piece);
-              if (!piece) return;
-              const rotated = piece.cells.map(off => HexGrid.rotate(off, s.rot));
-              const placed = rotated.map(rh => HexGrid.add(new HexGrid.Hex(s.anchor.q, s.anchor.r), rh));
-              const placedInBoard = placed.filter(t => boardGrid.has(t));
-              const placedKeys = new Set(placedInBoard.map(t => t.key()));
-              // find board cells that contain this piece id by color match
-              const actualKeys = new Set();
-              boardGrid.forEach(c => {
-                if (c.data && c.data.color === piece.color) actualKeys.add(c.hex.key());
-              });
-              const rotKeys = new Set(rotated.map(h => h.q+','+h.r));
-              const placedOffsetKeys = new Set(placedInBoard.map(t => {
-                const offset = HexGrid.subtract(t, new HexGrid.Hex(s.anchor.q, s.anchor.r));
-                return offset.q + ',' + offset.r;
-              }));
-              const equal = rotKeys.size === placedOffsetKeys.size && [...rotKeys].every(k => placedOffsetKeys.has(k));
-              if (!equal) {
-                console.error('loadBoardConfig: placement mismatch for piece', piece.id, 'anchor', s.anchor, 'rot', s.rot);
-                console.error('expected rotated offsets:', [...rotKeys]);
-                console.error('placed offsets on board:', [...placedOffsetKeys]);
-                // mark actual placed cells (by color match) and expected cells
-                // to make it obvious in the UI after render
-                // We'll store markers to apply after renderBoard draws the DOM
-                piece.__debug_expected = placed.map(t => t.key());
-                piece.__debug_actual = [...actualKeys];
-              }
-            });
-          } catch(e) { console.error(e); }
-          renderBoard();
+        } catch(e) { console.error(e); }
+      }
+    }
+  }
+
+  function saveEditor(){
+    localStorage.setItem('hex_editor', JSON.stringify(editorState()));
+  }
+  function loadEditor(){
+    let cells = null;
+    try {
+      cells = JSON.parse(localStorage.getItem('hex_editor'));
+    } catch(e) {}
+    setEditorState(cells || {});
+  }
+  // editor contents as {'q,r': color}
+  function editorState(){
+    const cells = {};
+    editorGrid.forEach(cell => {
+      if (cell.data && cell.data.color) cells[cell.hex.key()] = cell.data.color;
+    });
+    return cells;
+  }
+  function setEditorState(cells){
+    editorGrid.clearData();
+    Object.keys(cells).forEach(key => {
+      const [q, r] = key.split(',').map(Number);
+      const hex = new HexGrid.Hex(q, r);
+      if (editorGrid.has(hex)) editorGrid.set(hex, {color: cells[key]});
+    });
+    refreshEditorUI();
+  }
+
+  // undo history. Steps are plain data so the history survives reloads:
+  //   {kind: 'editor', key, before, after}     color of one editor cell (null if empty)
+  //   {kind: 'collection', before, after}      collectionState() snapshots
+  //   {kind: 'solution', before, after}        displayed solution, for board clears
+  const HISTORY_LIMIT = 100;
+  let undoHistory = {undo: [], redo: []};
+
+  function saveHistory(){
+    localStorage.setItem('hex_history', JSON.stringify(undoHistory));
+  }
+  function loadHistory(){
+    let d = null;
+    try {
+      d = JSON.parse(localStorage.getItem('hex_history'));
+    } catch(e) {}
+    undoHistory = d && Array.isArray(d.undo) && Array.isArray(d.redo) ? d : {undo: [], redo: []};
+    updateHistoryButtons();
+  }
+  function clearHistory(){
+    undoHistory = {undo: [], redo: []};
+    saveHistory();
+    updateHistoryButtons();
+  }
+  function updateHistoryButtons(){
+    undoBtn.disabled = undoHistory.undo.length === 0;
+    redoBtn.disabled = undoHistory.redo.length === 0;
+  }
+
+  // a new step drops whatever could have been redone
+  function record(step){
+    undoHistory.undo.push(step);
+    if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+    undoHistory.redo = [];
+    saveHistory();
+    updateHistoryButtons();
+  }
+
+  // pieces, pins and editor contents; pins come along since removing a
+  // piece renumbers the ones they point at
+  function collectionState(){
+    return JSON.parse(JSON.stringify({
+      seq: pieceIdSeq,
+      pieces: pieces.map(p => ({id: p.id, colorKey: p.colorKey, cells: p.cells, quantity: p.quantity, allowMirror: !!p.allowMirror})),
+      pinned: pinnedPlacements,
+      editor: editorState()
+    }));
+  }
+  function recordCollectionChange(before){
+    const after = collectionState();
+    if (JSON.stringify(after) !== JSON.stringify(before)) record({kind: 'collection', before, after});
+  }
+  function applyCollectionState(state){
+    stopEditing();
+    pieces = state.pieces.map(pieceFromData);
+    pieceIdSeq = state.seq;
+    pinnedPlacements = state.pinned;
+    saveCollection();
+    setEditorState(state.editor);
+    saveEditor();
+    const solution = topSolutions[currentSolutionIndex] || [];
+    buildBoardGrid();
+    if (solution.length) paintPlacements(solution);
+    saveBoardConfig(boardW.value, boardH.value, solution);
+    renderPiecesList();
+    renderBoard();
+  }
+  function applySolutionState(solution){
+    topSolutions = solution.length ? [solution] : [];
+    currentSolutionIndex = 0;
+    selectedPlacement = -1;
+    solutionCyclingEl.style.display = 'none';
+    saveBoardConfig(boardW.value, boardH.value, solution);
+    paintPlacements(solution.length ? solution : pinnedPlacements);
+    renderBoard();
+    updateSolutionEditUI();
+  }
+
+  function applyStep(step, state){
+    if (step.kind === 'editor') {
+      const [q, r] = step.key.split(',').map(Number);
+      editorGrid.set(new HexGrid.Hex(q, r), state ? {color: state} : null);
+      refreshEditorUI();
+      saveEditor();
+    } else if (step.kind === 'collection') {
+      applyCollectionState(state);
+    } else if (step.kind === 'solution') {
+      applySolutionState(state);
+    }
+  }
+  function undo(){
+    if (solverRunning || paintingMask || undoHistory.undo.length === 0) return;
+    const step = undoHistory.undo.pop();
+    undoHistory.redo.push(step);
+    applyStep(step, step.before);
+    saveHistory();
+    updateHistoryButtons();
+  }
+  function redo(){
+    if (solverRunning || paintingMask || undoHistory.redo.length === 0) return;
+    const step = undoHistory.redo.pop();
+    undoHistory.undo.push(step);
+    applyStep(step, step.after);
+    saveHistory();
+    updateHistoryButtons();
+  }
+
+  // ctrl+z / ctrl+shift+z (or ctrl+y), leaving text fields their own undo
+  function onHistoryKey(ev){
+    if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+    if (ev.target && ev.target.matches && ev.target.matches('input[type=text], input[type=number], textarea')) return;
+    const key = ev.key.toLowerCase();
+    if (key === 'z' && !ev.shiftKey) {
+      ev.preventDefault();
+      undo();
+    } else if ((key === 'z' && ev.shiftKey) || key === 'y') {
+      ev.preventDefault();
+      redo();
+    }
+  }
+
+  // collection files. Format (version 1):
+  //   {
+  //     "format": "mycopunk-hex-collection",
+  //     "version": 1,
+  //     "pieces": [{"id": 1, "color": "green", "cells": [{"q": 0, "r": 0}, ...],
+  //                 "quantity": 1, "allowMirror": false}, ...],
+  //     "board": {"w": 9, "h": 9, "shape": "rect", "radius": 4,
+  //               "mask": ["q,r", ...], "blocked": ["q,r", ...], "pinned": [placement, ...]},
+  //     "solution": [placement, ...]
+  //   }
+  // where a placement is {"piece": id, "anchor": {"q", "r"}, "rot": 0-5, "mirror": bool}.
+  // Piece cells are odd-q offsets from the piece center, board cells are
+  // odd-q column/row keys and colors are PALETTE keys. Only "pieces" is
+  // required; newer versions are rejected instead of half-read.
+  const FILE_FORMAT = 'mycopunk-hex-collection';
+  const FILE_VERSION = 1;
+
+  function collectionFileData(){
+    const data = {
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      pieces: pieces.map(p => ({
+        id: p.id,
+        color: p.colorKey,
+        cells: p.cells.map(h => ({q: h.q, r: h.r})),
+        quantity: p.quantity,
+        allowMirror: !!p.allowMirror
+      }))
+    };
+    const config = boardConfig(boardW.value, boardH.value, topSolutions[currentSolutionIndex]);
+    data.solution = config.solution;
+    delete config.solution;
+    data.board = config;
+    return data;
+  }
+
+  // check a parsed collection file, throwing an Error that says what is
+  // wrong; returns {pieces, board, solution} ready for the app state
+  function parseCollectionFile(d){
+    const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+    const isKeyList = v => Array.isArray(v) && v.every(k => typeof k === 'string' && /^-?\d+,-?\d+$/.test(k));
+    if (!d || typeof d !== 'object' || d.format !== FILE_FORMAT) {
+      throw new Error('not a hex solver collection file');
+    }
+    if (!isInt(d.version, 1, FILE_VERSION)) {
+      throw new Error(`unsupported file version ${d.version}`);
+    }
+    if (!Array.isArray(d.pieces)) throw new Error('missing pieces');
+    const ids = new Set();
+    const parsedPieces = d.pieces.map((p, i) => {
+      const where = `piece ${i + 1}`;
+      if (!p || !isInt(p.id, 1, Number.MAX_SAFE_INTEGER) || ids.has(p.id)) {
+        throw new Error(`${where}: missing or duplicate id`);
+      }
+      ids.add(p.id);
+      if (!PALETTE[p.color]) throw new Error(`${where}: unknown color "${p.color}"`);
+      if (!Array.isArray(p.cells) || p.cells.length === 0) throw new Error(`${where}: no cells`);
+      const keys = new Set();
+      p.cells.forEach(h => {
+        if (!h || !isInt(h.q, -99, 99) || !isInt(h.r, -99, 99)) throw new Error(`${where}: bad cell`);
+        keys.add(h.q + ',' + h.r);
+      });
+      if (keys.size !== p.cells.length) throw new Error(`${where}: repeated cell`);
+      if (p.quantity !== undefined && !isInt(p.quantity, 1, 99)) throw new Error(`${where}: bad quantity`);
+      return pieceFromData({
+        id: p.id,
+        colorKey: p.color,
+        cells: p.cells,
+        quantity: p.quantity,
+        allowMirror: p.allowMirror === true
+      });
+    });
+    const parsePlacements = (list, what) => {
+      if (list === undefined) return [];
+      if (!Array.isArray(list)) throw new Error(`bad ${what}`);
+      return list.map(pl => {
+        if (!pl || !ids.has(pl.piece) || !pl.anchor || !isInt(pl.anchor.q, -999, 999) ||
+            !isInt(pl.anchor.r, -999, 999) || !isInt(pl.rot, 0, 5)) {
+          throw new Error(`bad placement in ${what}`);
         }
+        const placement = {piece: pl.piece, anchor: {q: pl.anchor.q, r: pl.anchor.r}, rot: pl.rot, mirror: pl.mirror === true};
+        if (pl.pinned) placement.pinned = true;
+        return placement;
+      });
+    };
+    let board = null;
+    if (d.board !== undefined) {
+      const b = d.board;
+      if (!b || !isInt(b.w, 1, 999) || !isInt(b.h, 1, 999)) throw new Error('bad board size');
+      if (b.shape !== undefined && !['rect', 'hexagon', 'custom'].includes(b.shape)) {
+        throw new Error(`unknown board shape "${b.shape}"`);
       }
+      if (b.radius !== undefined && !isInt(b.radius, 0, 999)) throw new Error('bad board radius');
+      if (b.mask !== undefined && !isKeyList(b.mask)) throw new Error('bad board shape mask');
+      if (b.blocked !== undefined && !isKeyList(b.blocked)) throw new Error('bad blocked cells');
+      board = {
+        w: b.w,
+        h: b.h,
+        shape: b.shape || 'rect',
+        radius: b.radius !== undefined ? b.radius : 4,
+        mask: b.mask || [],
+        blocked: b.blocked || [],
+        pinned: parsePlacements(b.pinned, 'pinned pieces')
+      };
+    }
+    return {pieces: parsedPieces, board, solution: parsePlacements(d.solution, 'solution')};
+  }
+
+  function onExportCollection(){
+    const blob = new Blob([JSON.stringify(collectionFileData(), null, 2)], {type: 'application/json'});
+    downloadBlob(blob, 'hex-pieces.json');
+  }
+
+  function downloadBlob(blob, filename){
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function onImportFileChosen(){
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file || solverRunning) return;
+    file.text().then(text => {
+      const parsed = parseCollectionFile(JSON.parse(text));
+      importCollection(parsed, importModeSelect.value);
+      setCollectionHint(`imported ${parsed.pieces.length} piece${parsed.pieces.length === 1 ? '' : 's'} from ${file.name}`);
+    }).catch(e => {
+      // a bad file, a failed read or a failed import
+      setCollectionHint(`could not import ${file.name}: ${e.message}`);
+    });
+  }
+
+  // replace swaps in the file's pieces, board and solution; merge appends
+  // its pieces to the current collection (adding to the quantity of pieces
+  // that are already there) and leaves the board alone
+  function importCollection(parsed, mode){
+    if (mode === 'merge') {
+      const before = collectionState();
+      parsed.pieces.forEach(p => {
+        const same = pieces.find(q => q.colorKey === p.colorKey && !!q.allowMirror === p.allowMirror &&
+          shapeKey(q.cells) === shapeKey(p.cells));
+        if (same) {
+          same.quantity = Math.min(99, same.quantity + p.quantity);
+        } else {
+          p.id = pieceIdSeq++;
+          pieces.push(p);
+        }
+      });
+      saveCollection();
+      recordCollectionChange(before);
+      renderPiecesList();
+      return;
+    }
+    // earlier steps refer to the replaced collection
+    clearHistory();
+    stopEditing();
+    stopSolutionEdit();
+    pieces = parsed.pieces;
+    pieceIdSeq = pieces.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+    saveCollection();
+    const board = parsed.board || boardConfig(boardW.value, boardH.value, []);
+    if (!parsed.board) board.pinned = [];
+    // only keep a solution whose placements fit the imported board
+    let solution = parsed.solution;
+    topSolutions = [];
+    currentSolutionIndex = 0;
+    paintingMask = false;
+    applyBoardConfig(Object.assign({}, board, {solution: []}));
+    const fitted = [];
+    for (const pl of solution) {
+      if (!pinFits(pl, fitted)) break;
+      fitted.push(pl);
+    }
+    if (fitted.length === solution.length) {
+      topSolutions = solution.length ? [solution] : [];
+    } else {
+      solution = [];
+    }
+    solutionCyclingEl.style.display = 'none';
+    updateBoardShapeInputs();
+    saveBoardConfig(boardW.value, boardH.value, solution);
+    paintPlacements(solution.length ? solution : pinnedPlacements);
+    renderPiecesList();
+    renderBoard();
+  }
+
+  function setCollectionHint(msg){
+    collectionHint.textContent = msg || '';
+  }
+
+  // share links carry the whole setup in the URL fragment (#s=...), so it
+  // never reaches a server. The payload is a compact form of the collection
+  // file: {v, p: pieces, b: board, o: options, s: solution} where
+  //   piece     = [id, color, quantity, allowMirror, q0, r0, q1, r1, ...]
+  //   board     = [w, h, shape, radius, mask, blocked, pins]  (mask/blocked flat q,r lists)
+  //   placement = [piece, q, r, rot, flags]  (flags: 1 mirrored, 2 pinned)
+  //   options   = [allowRotations, highContrast, allowReflections]
+  // deflated when the browser can, then base64url: "z" + data, or "j" + data
+  // for plain JSON
+  const SHARE_VERSION = 1;
+
+  function placementTuple(pl){
+    return [pl.piece, pl.anchor.q, pl.anchor.r, pl.rot, (pl.mirror ? 1 : 0) | (pl.pinned ? 2 : 0)];
+  }
+  function tuplePlacement(t){
+    const pl = {piece: t[0], anchor: {q: t[1], r: t[2]}, rot: t[3], mirror: !!(t[4] & 1)};
+    if (t[4] & 2) pl.pinned = true;
+    return pl;
+  }
+  const flatKeys = keys => [].concat(...keys.map(k => k.split(',').map(Number)));
+  function pairCells(flat){
+    const cells = [];
+    for (let i = 0; i + 1 < flat.length; i += 2) cells.push({q: flat[i], r: flat[i + 1]});
+    return cells;
+  }
+  const pairKeys = flat => pairCells(flat).map(h => h.q + ',' + h.r);
+
+  function sharePayload(includeSolution){
+    const file = collectionFileData();
+    const b = file.board;
+    return {
+      v: SHARE_VERSION,
+      p: file.pieces.map(p => [p.id, p.color, p.quantity, p.allowMirror ? 1 : 0].concat(...p.cells.map(h => [h.q, h.r]))),
+      b: [b.w, b.h, b.shape, b.radius, b.shape === 'custom' ? flatKeys(b.mask) : [], flatKeys(b.blocked), b.pinned.map(placementTuple)],
+      o: [allowRotationsCheckbox.checked ? 1 : 0, highContrastCheckbox.checked ? 1 : 0, allowReflectionsCheckbox.checked ? 1 : 0],
+      s: includeSolution ? file.solution.map(placementTuple) : []
+    };
+  }
+
+  // back to the collection file format so parseCollectionFile can check it
+  function shareToCollectionFile(d){
+    const lists = v => Array.isArray(v) && v.every(Array.isArray);
+    if (!d || d.v !== SHARE_VERSION || !lists(d.p) || !Array.isArray(d.b) || !lists(d.s) ||
+        !Array.isArray(d.b[4]) || !Array.isArray(d.b[5]) || !lists(d.b[6])) {
+      throw new Error('unsupported link');
+    }
+    const b = d.b;
+    return {
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      pieces: d.p.map(t => ({
+        id: t[0],
+        color: t[1],
+        quantity: t[2],
+        allowMirror: t[3] === 1,
+        cells: pairCells(t.slice(4))
+      })),
+      board: {
+        w: b[0], h: b[1], shape: b[2], radius: b[3],
+        mask: pairKeys(b[4]), blocked: pairKeys(b[5]),
+        pinned: b[6].map(tuplePlacement)
+      },
+      solution: d.s.map(tuplePlacement)
+    };
+  }
+
+  function bytesToBase64Url(bytes){
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  function base64UrlToBytes(str){
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+  async function pipeBytes(bytes, transform){
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  async function encodeShare(payload){
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream !== 'undefined') {
+      // some browsers have the stream but not the deflate-raw format
+      try {
+        return 'z' + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+      } catch(e) {}
+    }
+    return 'j' + bytesToBase64Url(bytes);
+  }
+  async function decodeShare(str){
+    let bytes = base64UrlToBytes(str.slice(1));
+    if (str[0] === 'z') {
+      if (typeof DecompressionStream === 'undefined') throw new Error('this browser cannot read compressed links');
+      bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (str[0] !== 'j') {
+      throw new Error('unsupported link');
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  async function onShareLink(){
+    let url;
+    try {
+      url = location.href.split('#')[0] + '#s=' + await encodeShare(sharePayload(shareSolutionCheckbox.checked));
+    } catch(e) {
+      setCollectionHint('could not make a link: ' + e.message);
+      return;
+    }
+    shareLinkInput.value = url;
+    shareLinkInput.style.display = '';
+    shareLinkInput.select();
+    try {
+      await navigator.clipboard.writeText(url);
+      setCollectionHint('link copied to the clipboard');
+    } catch(e) {
+      setCollectionHint('copy the link above to share this setup');
+    }
+  }
+
+  // offer to load a setup from a share link in place of the saved one
+  async function loadShareLink(){
+    const match = location.hash.match(/^#s=(.+)$/);
+    if (!match || solverRunning) return;
+    let parsed, options;
+    try {
+      const payload = await decodeShare(match[1]);
+      parsed = parseCollectionFile(shareToCollectionFile(payload));
+      options = Array.isArray(payload.o) ? payload.o : [];
+    } catch(e) {
+      setCollectionHint(`could not read the shared link: ${e.message}`);
+      return;
+    }
+    // forget the fragment either way so a reload doesn't ask again
+    history.replaceState(null, '', location.href.split('#')[0]);
+    const what = `${parsed.pieces.length} piece${parsed.pieces.length === 1 ? '' : 's'}` +
+      (parsed.solution.length ? ' and a solution' : '');
+    if (!confirm(`load the shared setup (${what})? this replaces your current pieces and board.`)) return;
+    allowRotationsCheckbox.checked = options[0] !== 0;
+    highContrastCheckbox.checked = options[1] === 1;
+    allowReflectionsCheckbox.checked = options[2] === 1;
+    saveOptions();
+    importCollection(parsed, 'replace');
+    setCollectionHint(`loaded ${what} from the shared link`);
+  }
+
+  // profiles: independent setups (pieces, board, options and solution).
+  // The current profile lives in the usual keys; the others are kept as
+  // snapshots of those keys under hex_profile_<id>, and hex_profiles holds
+  // {seq, current, list: [{id, name}]}.
+  const PROFILE_KEYS = ['hex_pieces', 'hex_board', 'hex_options', 'hex_editor', 'hex_history'];
+  let profiles = null;
+
+  function saveProfiles(){
+    localStorage.setItem('hex_profiles', JSON.stringify(profiles));
+  }
+  function loadProfiles(){
+    try {
+      profiles = JSON.parse(localStorage.getItem('hex_profiles'));
     } catch(e) {}
+    if (!profiles || !Array.isArray(profiles.list) || profiles.list.length === 0) {
+      profiles = {seq: 2, current: 1, list: [{id: 1, name: 'default'}]};
+      saveProfiles();
+    }
+    if (!profiles.list.some(pr => pr.id === profiles.current)) profiles.current = profiles.list[0].id;
+  }
+  function currentProfile(){
+    return profiles.list.find(pr => pr.id === profiles.current);
+  }
+
+  // copy the current profile's keys into its snapshot
+  function snapshotProfile(){
+    const snap = {};
+    PROFILE_KEYS.forEach(key => { snap[key] = localStorage.getItem(key); });
+    localStorage.setItem('hex_profile_' + profiles.current, JSON.stringify(snap));
+  }
+  // put a snapshot back into the usual keys (missing ones start empty)
+  function restoreProfile(id){
+    let snap = null;
+    try {
+      snap = JSON.parse(localStorage.getItem('hex_profile_' + id));
+    } catch(e) {}
+    PROFILE_KEYS.forEach(key => {
+      if (snap && snap[key] !== null && snap[key] !== undefined) localStorage.setItem(key, snap[key]);
+      else localStorage.removeItem(key);
+    });
+  }
+
+  // reset the app state and read it all back from localStorage
+  function reloadState(){
+    stopEditing();
+    stopSolutionEdit();
+    pieces = [];
+    pieceIdSeq = 1;
+    boardW.value = 9;
+    boardH.value = 9;
+    boardShapeSelect.value = 'rect';
+    boardRadius.value = 4;
+    boardMask = new Set();
+    blockedCells = new Set();
+    pinnedPlacements = [];
+    paintingMask = false;
+    topSolutions = [];
+    currentSolutionIndex = 0;
+    solutionCyclingEl.style.display = 'none';
+    solverStatsEl.style.display = 'none';
+    boardGrid = null;
+    loadCollection();
+    loadOptions();
+    loadEditor();
+    loadHistory();
+    loadBoardConfig();
+    updateBoardShapeInputs();
+    if (!boardGrid) buildBoardGrid();
+    renderPiecesList();
+    renderBoard();
+    setCollectionHint();
+  }
+
+  function renderProfiles(){
+    profileSelect.innerHTML = '';
+    profiles.list.forEach(pr => {
+      const opt = document.createElement('option');
+      opt.value = pr.id;
+      opt.textContent = pr.name;
+      profileSelect.appendChild(opt);
+    });
+    profileSelect.value = profiles.current;
+    deleteProfileBtn.disabled = profiles.list.length < 2;
+  }
+
+  function switchProfile(id){
+    if (solverRunning || id === profiles.current) {
+      renderProfiles();
+      return;
+    }
+    snapshotProfile();
+    restoreProfile(id);
+    profiles.current = id;
+    saveProfiles();
+    renderProfiles();
+    reloadState();
+  }
+
+  // ask for a profile name, null if cancelled or blank
+  function askProfileName(message, initial){
+    const name = prompt(message, initial);
+    return name && name.trim() ? name.trim() : null;
+  }
+
+  function onNewProfile(){
+    if (solverRunning) return;
+    const name = askProfileName('name of the new profile:', `profile ${profiles.seq}`);
+    if (!name) return;
+    const id = profiles.seq++;
+    profiles.list.push({id, name});
+    switchProfile(id);
+  }
+
+  function onDuplicateProfile(){
+    if (solverRunning) return;
+    const name = askProfileName('name of the copy:', `${currentProfile().name} (copy)`);
+    if (!name) return;
+    const id = profiles.seq++;
+    profiles.list.push({id, name});
+    snapshotProfile();
+    localStorage.setItem('hex_profile_' + id, localStorage.getItem('hex_profile_' + profiles.current));
+    switchProfile(id);
+  }
+
+  function onRenameProfile(){
+    const profile = currentProfile();
+    const name = askProfileName('new name for this profile:', profile.name);
+    if (!name) return;
+    profile.name = name;
+    saveProfiles();
+    renderProfiles();
+  }
+
+  function onDeleteProfile(){
+    if (solverRunning || profiles.list.length < 2) return;
+    const profile = currentProfile();
+    if (!confirm(`delete the profile "${profile.name}" with all its pieces and solutions?`)) return;
+    const idx = profiles.list.indexOf(profile);
+    profiles.list.splice(idx, 1);
+    localStorage.removeItem('hex_profile_' + profile.id);
+    const next = profiles.list[Math.min(idx, profiles.list.length - 1)];
+    // nothing to snapshot, the deleted profile is gone
+    restoreProfile(next.id);
+    profiles.current = next.id;
+    saveProfiles();
+    renderProfiles();
+    reloadState();
   }
 
   // utilities to allow using HexGrid functions here
@@ -1185,8 +3369,18 @@
 
   // init on DOM ready
   document.addEventListener('DOMContentLoaded', function(){
+    loadProfiles();
     loadCollection();
     init();
+    loadOptions();
+    loadEditor();
+    loadHistory();
+    renderProfiles();
     loadBoardConfig();
+    updateBoardShapeInputs();
+    if (!boardGrid) buildBoardGrid();
+    renderBoard();
+    loadShareLink();
+    updateResumeButton();
   });
 })();
@@ -93,6 +93,8 @@
 
     has(hex){ return this.cells.has(hex.key()); }
 
+    remove(hex){ this.cells.delete(hex.key()); }
+
     forEach(fn){
       this.cells.forEach((v) => fn(v, v.hex));
     }
@@ -164,6 +166,25 @@
     return this;
   };
 
+  // hex-shaped grid in odd-q offset coordinates (the layout the Renderer
+  // draws), built from generateRadius and shifted so q and r start at 0
+  HexGrid.prototype.generateHexagon = function(radius){
+    this.generateRadius(radius);
+    const hexes = [];
+    this.cells.forEach((v) => {
+      // translate in axial space first, then convert to odd-q offset
+      const q = v.hex.q + radius;
+      hexes.push(new Hex(q, v.hex.r + (q - (q & 1)) / 2));
+    });
+    const minR = Math.min(...hexes.map(h => h.r));
+    this.cells.clear();
+    hexes.forEach((h) => {
+      const hex = new Hex(h.q, h.r - minR);
+      this.cells.set(hex.key(), {hex, data: null});
+    });
+    return this;
+  };
+
   HexGrid.prototype.getCellsArray = function(){
     const out = [];
     this.cells.forEach((v) => out.push(v));
@@ -197,6 +218,19 @@
     return new Hex(offset_q, offset_r);
   }
 
+  // mirror a hex across the horizontal axis through the origin (flips the
+  // board upside down); odd-q offset in, odd-q offset out
+  function reflectHex(hex){
+    const axial_q = hex.q;
+    const axial_r = hex.r - (hex.q - (hex.q & 1)) / 2;
+
+    // In cube space the vertical flip keeps x and swaps y with z
+    const reflected_r = -axial_q - axial_r;
+
+    const offset_r = reflected_r + (axial_q - (axial_q & 1)) / 2;
+    return new Hex(axial_q, offset_r);
+  }
+
   function addHex(a, b){
     // Addition in odd-q offset coordinates
     // Convert to axial, add, convert back
@@ -280,9 +314,9 @@
     }
 
     _createElements(){
-      // compute bounding box and align top of first and last columns for flat-top rectangle
+      // compute the bounding box of the cell centers; this works for any
+      // shape (rectangle, hexagon, painted mask), not only rectangles
       let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-      let minQ = Infinity, maxQ = -Infinity;
       const coords = [];
       this.grid.forEach((cell) => {
         const p = this._hexToPixel(cell.hex);
@@ -291,8 +325,6 @@
         minY = Math.min(minY, p.y);
         maxX = Math.max(maxX, p.x);
         maxY = Math.max(maxY, p.y);
-        minQ = Math.min(minQ, cell.hex.q);
-        maxQ = Math.max(maxQ, cell.hex.q);
       });
 
       // Flat-top hex geometry: width = 2*size, height = sqrt(3)*size
@@ -300,35 +332,18 @@
       const hexH = Math.sqrt(3) * this.size;
       const padding = 10;
 
-      // For flat-top rectangle: align the top of the first and last columns
-      // The vertical offset for a column is size * sqrt(3)/2 * q
-      // So the top of the first column is at y0, last column at y0 + (maxQ-minQ)*size*sqrt(3)/2
-      // We want the board to be a true rectangle, so adjust minY/maxY accordingly
-      const colOffset = this.size * Math.sqrt(3)/2;
-      // Find the minimum y for each column
-      let minYByQ = {};
-      coords.forEach(({cell, p}) => {
-        const q = cell.hex.q;
-        if (!(q in minYByQ) || p.y < minYByQ[q]) minYByQ[q] = p.y;
-      });
-      // The highest (smallest) y among all columns
-      let alignY = Math.min(...Object.values(minYByQ));
-
-      // The lowest (largest) y among the bottoms of all columns
-      let maxYByQ = {};
-      coords.forEach(({cell, p}) => {
-        const q = cell.hex.q;
-        if (!(q in maxYByQ) || p.y > maxYByQ[q]) maxYByQ[q] = p.y;
-      });
-      let alignMaxY = Math.max(...Object.values(maxYByQ));
+      // an empty grid still gets a (padding-only) box
+      if (coords.length === 0){
+        minX = maxX = minY = maxY = 0;
+      }
 
       const width = (maxX - minX) + hexW + padding*2;
-      const height = (alignMaxY - alignY) + hexH + padding*2;
+      const height = (maxY - minY) + hexH + padding*2;
       this.container.style.width = Math.ceil(width) + 'px';
       this.container.style.height = Math.ceil(height) + 'px';
 
       const offsetX = -minX + padding;
-      const offsetY = -alignY + padding;
+      const offsetY = -minY + padding;
 
       coords.forEach(({cell, p}) => {
         const el = document.createElement('div');
@@ -409,6 +424,7 @@
     HexGrid,
     Renderer,
     rotate: rotateHex,
+    reflect: reflectHex,
     add: addHex,
     subtract: subtractHex
   };
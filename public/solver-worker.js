@@ -41,11 +41,44 @@ const hexDirections = [
   new Hex(-1, 0), new Hex(-1, 1), new Hex(0, 1)
 ];
 
+// placementsMeta layout: [ pieceIdx, pieceId, anchorIdx, rot, targetsStart, targetsLen, mirror ]
+const META_STRIDE = 7;
+
+// fixed-seed xorshift32 words for Zobrist keys
+function randomWords(count, seed) {
+  const words = new Uint32Array(count);
+  let x = seed;
+  for (let i = 0; i < count; i++) {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    words[i] = x >>> 0;
+  }
+  return words;
+}
+
 // Worker state
 let shouldStop = false;
 let searchCount = 0;
-let bestCoverage = 0;
-let topSolutions = []; // All solutions tied for best coverage
+let regionPrunes = 0; // states cut off only by the region bound
+let tableLookups = 0; // transposition table probes...
+let tableHits = 0; // ...and the ones that cut off a state
+let bestCoverage = 0; // coverage of the best-scoring solution
+let bestScore = 0; // objective value: coverage * coverageWeight + sum of placed piece weights
+let topSolutions = []; // All solutions tied for best score
+let tilings = 0; // exact mode: perfect tilings found
+let workerId = 0;
+// limits from START (0 = none): a Date.now() deadline and a state count
+let deadline = 0;
+let limitReached = null; // 'time' once the deadline has passed
+// how often PROGRESS goes out while searching; a state limit is counted by
+// the coordinator, which then wants to hear more often
+let progressMs = 1000;
+let search = null; // search context built from START, runs one task at a time
+
+// The search runs in slices so messages (more work, donation requests,
+// new bounds) get handled while a task is in progress.
+const SLICE_MS = 100;
 
 // Handle messages from main thread
 self.onmessage = function(e) {
@@ -54,91 +87,321 @@ self.onmessage = function(e) {
   if (type === 'START') {
     shouldStop = false;
     searchCount = 0;
-    bestCoverage = data.initialBestCoverage || 0;
+    regionPrunes = 0;
+    tableLookups = 0;
+    tableHits = 0;
+    bestCoverage = 0;
+    bestScore = data.initialBestScore || 0;
     topSolutions = [];
-
-    // Start searching
-    solve(data);
+    tilings = 0;
+    workerId = data.workerId;
+    deadline = data.deadline || 0;
+    progressMs = data.progressMs || 1000;
+    limitReached = null;
+    search = data.mode === 'exact' ? createExactSearch(data) : createSearch(data);
+  } else if (type === 'TASK') {
+    // a subtree to search: { path: [placement indices], skipped: [piece indices] }
+    search.begin(data.task);
+    runSlice();
+  } else if (type === 'DONATE') {
+    // an idle worker wants work: split off part of the current subtree
+    const tasks = search ? search.donate() : [];
+    self.postMessage({ type: 'DONATED', data: { tasks, workerId } });
+  } else if (type === 'CHECKPOINT') {
+    // everything not searched yet, plus what was found so far, so the
+    // search can pick up from here later
+    self.postMessage({ type: 'FRONTIER', data: {
+      tasks: search ? search.frontier() : [],
+      solutions: topSolutions, coverage: bestCoverage, score: bestScore, tilings, searchCount, workerId
+    } });
+  } else if (type === 'FINISH') {
+    // no work left anywhere, report what we found
+    self.postMessage({ type: 'COMPLETE', data: { solutions: topSolutions, coverage: bestCoverage, score: bestScore, tilings, searchCount, regionPrunes, tableLookups, tableHits, workerId } });
   } else if (type === 'STOP') {
     shouldStop = true;
   } else if (type === 'UPDATE_BEST') {
     // Another worker found a better solution
-    if (data.coverage > bestCoverage) {
+    if (data.score > bestScore) {
+      bestScore = data.score;
       bestCoverage = data.coverage;
       topSolutions = []; // Clear our solutions as they're now suboptimal
     }
   }
 };
 
-function solve(data) {
+// once a limit is hit the search winds down as if stopped
+function checkLimits() {
+  if (deadline > 0 && Date.now() >= deadline) limitReached = 'time';
+  if (limitReached) shouldStop = true;
+}
+
+function runSlice() {
+  // step only checks every 256 states, which a small task may never reach
+  checkLimits();
+  if (!search.step(Date.now() + SLICE_MS)) {
+    setTimeout(runSlice, 0);
+    return;
+  }
+  checkLimits();
+  self.postMessage({ type: 'TASK_DONE', data: { searchCount, regionPrunes, tableLookups, tableHits, tilings, limit: limitReached, stopped: shouldStop, workerId } });
+}
+
+function createSearch(data) {
   // Expect packed typed arrays from main thread:
-  // pieces: [{id,size}], placementsMeta: Int32Array (6 ints per placement), placementsTargets: Int32Array (concatenated targets),
-  // piecePlacementStart: Int32Array, piecePlacementCount: Int32Array, assignedPlacementIndices: Int32Array, boardCells: [{q,r}], neighbors: [[idx,..],...]
-  const { pieces, boardSize, pieceOrder, workerId, boardCells, neighbors } = data;
+  // pieces: [{id,size,weight,count}], coverageWeight: number, placementsMeta: Int32Array (META_STRIDE ints per placement), placementsTargets: Int32Array (concatenated targets),
+  // piecePlacementStart: Int32Array, piecePlacementCount: Int32Array, boardCells: [{q,r}], neighbors: [[idx,..],...]
+  // pinnedCells: Int32Array of cells taken by pinned pieces, pinnedSolution: [{piece,anchor,rot}] (never moved)
+  const { pieces, boardSize, pieceOrder, boardCells, neighbors } = data;
+  // Objective: plain coverage has coverageWeight 1 and zero piece weights.
+  // Priority modes give pieces weights and may also leave a piece out on
+  // purpose, since skipping a low-priority piece can make room for a
+  // higher-priority one.
+  const coverageWeight = data.coverageWeight === undefined ? 1 : data.coverageWeight;
+  const weighted = pieces.some(p => p.weight > 0);
+  const pinnedSolution = data.pinnedSolution || [];
+  const pinnedCells = data.pinnedCells ? new Int32Array(data.pinnedCells) : new Int32Array(0);
   // typed arrays (may arrive as Int32Array objects)
   const placementsMeta = data.placementsMeta instanceof Int32Array ? data.placementsMeta : new Int32Array(data.placementsMeta);
   const placementsTargets = data.placementsTargets instanceof Int32Array ? data.placementsTargets : new Int32Array(data.placementsTargets);
   const piecePlacementStart = data.piecePlacementStart instanceof Int32Array ? data.piecePlacementStart : new Int32Array(data.piecePlacementStart);
   const piecePlacementCount = data.piecePlacementCount instanceof Int32Array ? data.piecePlacementCount : new Int32Array(data.piecePlacementCount);
-  const assignedPlacementIndices = data.assignedPlacementIndices instanceof Int32Array ? data.assignedPlacementIndices : new Int32Array(data.assignedPlacementIndices);
 
-  console.log(`worker ${workerId} starting with ${assignedPlacementIndices.length} initial placements`);
+  console.log(`worker ${workerId} ready`);
   let lastReportTime = Date.now();
 
-  // Occupancy arrays: occupancy holds pieceIdx or -1; depthStamp holds recursion depth when cell was set
-  const occupancy = new Int16Array(boardSize);
-  for (let i = 0; i < boardSize; i++) occupancy[i] = -1;
-  const depthStamp = new Int32Array(boardSize);
-  let depth = 0;
+  // Occupancy is a bitset, one bit per cell in 32-bit words, for the
+  // cell-level questions (neighbors, regions); whether a placement fits
+  // comes from the conflict counts below.
+  const occupied = new Uint32Array((boardSize + 31) >>> 5);
+  const placementCount = placementsMeta.length / META_STRIDE;
+
+  // pinned pieces are already on the board when the search starts
+  const pinnedCoverage = pinnedCells.length;
+
+  // Copies of a piece are interchangeable: they are always placed in
+  // increasing placement index order, so each set of positions for the
+  // copies is searched once instead of once per permutation.
+  // lastPlaced[pieceIdx] is the placement index of the latest placed copy.
+  const lastPlaced = new Int32Array(pieces.length).fill(-1);
+
+  // Conflict lists: the placements covering each cell, i.e. the ones a
+  // piece on that cell rules out. Placements of cell c are
+  // cellConflicts[conflictStart[c]] up to conflictStart[c + 1]. Placing a
+  // piece walks these lists to keep blocked[pIdx] (taken cells under each
+  // placement) and freeCount[pieceIdx] (its placements with none) up to
+  // date, so the search reads validity instead of checking cells.
+  const conflictStart = new Int32Array(boardSize + 1);
+  for (let ti = 0; ti < placementsTargets.length; ti++) conflictStart[placementsTargets[ti] + 1]++;
+  for (let c = 0; c < boardSize; c++) conflictStart[c + 1] += conflictStart[c];
+  const cellConflicts = new Int32Array(placementsTargets.length);
+  const conflictFill = conflictStart.slice(0, boardSize);
+  for (let pIdx = 0; pIdx < placementCount; pIdx++) {
+    const base = pIdx * META_STRIDE;
+    for (let ti = placementsMeta[base + 4]; ti < placementsMeta[base + 4] + placementsMeta[base + 5]; ti++) {
+      cellConflicts[conflictFill[placementsTargets[ti]]++] = pIdx;
+    }
+  }
 
-  function applyPlacementByIndex(pIdx, pieceIdx) {
-    const base = pIdx * 6;
-    const tStart = placementsMeta[base + 4];
-    const tLen = placementsMeta[base + 5];
-    depth++;
-    for (let ti = tStart; ti < tStart + tLen; ti++) {
+  const placementPiece = new Int32Array(placementCount);
+  for (let pIdx = 0; pIdx < placementCount; pIdx++) placementPiece[pIdx] = placementsMeta[pIdx * META_STRIDE];
+  const blocked = new Uint8Array(placementCount);
+  const freeCount = new Int32Array(pieces.length);
+
+  function takeCell(cellIdx) {
+    for (let ci = conflictStart[cellIdx]; ci < conflictStart[cellIdx + 1]; ci++) {
+      const p = cellConflicts[ci];
+      if (blocked[p]++ === 0) freeCount[placementPiece[p]]--;
+    }
+  }
+
+  function releaseCell(cellIdx) {
+    for (let ci = conflictStart[cellIdx]; ci < conflictStart[cellIdx + 1]; ci++) {
+      const p = cellConflicts[ci];
+      if (--blocked[p] === 0) freeCount[placementPiece[p]]++;
+    }
+  }
+
+  function isFree(cellIdx) {
+    return (occupied[cellIdx >>> 5] & (1 << (cellIdx & 31))) === 0;
+  }
+
+  function placementFree(pIdx) {
+    return blocked[pIdx] === 0;
+  }
+
+  // Transposition table: different placement orders often reach the same
+  // state (the same cells taken, the same pieces left), and its subtree
+  // only needs searching once. A state is keyed by two 32-bit Zobrist
+  // hashes, lo picking the slot and hi checking it, and the slot keeps the
+  // most its score can still grow (gain). Slots are overwritten freely.
+  // Where the remaining copies of a piece may go depends on where the
+  // latest one went, so that placement is part of the key as well.
+  // A slot is 12 bytes; the coordinator picks the size so all the
+  // workers' tables together stay around 24 MB.
+  const TABLE_BITS = data.tableBits || 18;
+  const TABLE_MASK = (1 << TABLE_BITS) - 1;
+  const tableCheck = new Uint32Array(1 << TABLE_BITS);
+  const tableGain = new Float64Array(1 << TABLE_BITS).fill(-1); // -1: empty
+
+  // per cell, xored together into a key per placement
+  const cellKeysLo = randomWords(boardSize, 0x9e3779b9);
+  const cellKeysHi = randomWords(boardSize, 0x85ebca6b);
+  const placementKeysLo = new Uint32Array(placementCount);
+  const placementKeysHi = new Uint32Array(placementCount);
+  for (let pIdx = 0; pIdx < placementCount; pIdx++) {
+    const base = pIdx * META_STRIDE;
+    for (let ti = placementsMeta[base + 4]; ti < placementsMeta[base + 4] + placementsMeta[base + 5]; ti++) {
+      placementKeysLo[pIdx] ^= cellKeysLo[placementsTargets[ti]];
+      placementKeysHi[pIdx] ^= cellKeysHi[placementsTargets[ti]];
+    }
+  }
+  // the k-th remaining copy of piece pi is copyKeys[copyStart[pi] + k]
+  const copyStart = new Int32Array(pieces.length + 1);
+  pieces.forEach((p, pi) => { copyStart[pi + 1] = copyStart[pi] + (p.count || 1); });
+  const copyKeysLo = randomWords(copyStart[pieces.length], 0xc2b2ae35);
+  const copyKeysHi = randomWords(copyStart[pieces.length], 0x27d4eb2f);
+  // latest placement of a piece that still has copies left
+  const orderKeysLo = randomWords(placementCount, 0x165667b1);
+  const orderKeysHi = randomWords(placementCount, 0xd3a2646c);
+  // occupancy part of the key, kept up to date by place/unplace
+  let occupiedLo = 0;
+  let occupiedHi = 0;
+
+  // placements never overlap, so the occupancy bits are plain flips
+  function applyPlacementByIndex(pIdx) {
+    const base = pIdx * META_STRIDE;
+    const tEnd = placementsMeta[base + 4] + placementsMeta[base + 5];
+    for (let ti = placementsMeta[base + 4]; ti < tEnd; ti++) {
       const cellIdx = placementsTargets[ti];
-      occupancy[cellIdx] = pieceIdx;
-      depthStamp[cellIdx] = depth;
+      occupied[cellIdx >>> 5] |= 1 << (cellIdx & 31);
+      takeCell(cellIdx);
     }
+    occupiedLo ^= placementKeysLo[pIdx];
+    occupiedHi ^= placementKeysHi[pIdx];
   }
 
   function undoPlacementByIndex(pIdx) {
-    const base = pIdx * 6;
-    const tStart = placementsMeta[base + 4];
-    const tLen = placementsMeta[base + 5];
-    for (let ti = tStart; ti < tStart + tLen; ti++) {
+    const base = pIdx * META_STRIDE;
+    const tEnd = placementsMeta[base + 4] + placementsMeta[base + 5];
+    for (let ti = placementsMeta[base + 4]; ti < tEnd; ti++) {
       const cellIdx = placementsTargets[ti];
-      if (depthStamp[cellIdx] === depth) {
-        occupancy[cellIdx] = -1;
-        depthStamp[cellIdx] = 0;
-      }
+      occupied[cellIdx >>> 5] &= ~(1 << (cellIdx & 31));
+      releaseCell(cellIdx);
     }
-    depth--;
+    occupiedLo ^= placementKeysLo[pIdx];
+    occupiedHi ^= placementKeysHi[pIdx];
   }
 
   function neighborsOccupiedCount(idx) {
     let count = 0;
     const neigh = neighbors[idx] || [];
     for (let j = 0; j < neigh.length; j++) {
-      if (occupancy[neigh[j]] !== -1) count++;
+      if (!isFree(neigh[j])) count++;
     }
     return count;
   }
 
+  // remaining pieces list with one entry per copy; copies stay adjacent
+  function expandCopies(order) {
+    const out = [];
+    for (const pi of order) {
+      for (let k = 0; k < (pieces[pi].count || 1); k++) out.push(pi);
+    }
+    return out;
+  }
+
+  // first placement offset still open to the next copy of a piece
+  function firstOpenOffset(pi) {
+    return Math.max(0, lastPlaced[pi] - piecePlacementStart[pi] + 1);
+  }
+
   function sumRemainingSizes(remainingPieces) {
     let s = 0;
     for (let i = 0; i < remainingPieces.length; i++) s += pieces[remainingPieces[i]].size;
     return s;
   }
 
-  function postProgress() {
-    self.postMessage({ type: 'PROGRESS', data: { searchCount, bestCoverage, workerId } });
+  function sumRemainingWeights(remainingPieces) {
+    let s = 0;
+    for (let i = 0; i < remainingPieces.length; i++) s += pieces[remainingPieces[i]].weight || 0;
+    return s;
+  }
+
+  // Region bound: the free cells split into connected regions, and a region
+  // that no free placement of a remaining piece touches will stay empty
+  // whatever is placed elsewhere. Its size alone says nothing, since a
+  // piece with disconnected cells can reach into several regions at once.
+  // Note this flood-fills all free cells at every node whenever coverage
+  // counts toward the score. regionMark[cell] === regionEpoch marks cells
+  // already collected in the current pass.
+  const regionMark = new Int32Array(boardSize);
+  let regionEpoch = 0;
+  const regionCells = new Int32Array(boardSize);
+  const isRemaining = new Uint8Array(pieces.length);
+
+  // does a free placement of some remaining piece cover a cell of the
+  // region held in regionCells? (ignores the copy ordering, so it never
+  // calls a usable region dead)
+  function regionFits(size) {
+    for (let k = 0; k < size; k++) {
+      const cellIdx = regionCells[k];
+      for (let ci = conflictStart[cellIdx]; ci < conflictStart[cellIdx + 1]; ci++) {
+        const pIdx = cellConflicts[ci];
+        if (isRemaining[placementsMeta[pIdx * META_STRIDE]] && placementFree(pIdx)) return true;
+      }
+    }
+    return false;
+  }
+
+  // free cells no remaining piece can ever cover
+  function unreachableCells(remainingPieces) {
+    isRemaining.fill(0);
+    for (let i = 0; i < remainingPieces.length; i++) isRemaining[remainingPieces[i]] = 1;
+    if (regionEpoch === 0x7fffffff) {
+      regionMark.fill(0);
+      regionEpoch = 0;
+    }
+    regionEpoch++;
+
+    let wasted = 0;
+    for (let start = 0; start < boardSize; start++) {
+      if (!isFree(start) || regionMark[start] === regionEpoch) continue;
+      // flood fill from start, regionCells doubling as the queue
+      regionMark[start] = regionEpoch;
+      regionCells[0] = start;
+      let size = 1;
+      for (let k = 0; k < size; k++) {
+        const neigh = neighbors[regionCells[k]];
+        for (let j = 0; j < neigh.length; j++) {
+          const n = neigh[j];
+          if (isFree(n) && regionMark[n] !== regionEpoch) {
+            regionMark[n] = regionEpoch;
+            regionCells[size++] = n;
+          }
+        }
+      }
+      if (!regionFits(size)) wasted += size;
+    }
+    return wasted;
+  }
+
+  // solution: the new best one, sent as soon as it is found
+  function postProgress(solution) {
+    self.postMessage({ type: 'PROGRESS', data: {
+      searchCount, regionPrunes, tableLookups, tableHits, tableHitRate: tableLookups > 0 ? tableHits / tableLookups : 0,
+      bestCoverage, bestScore, solution, workerId
+    } });
   }
 
   function exportSolution(sol) {
     // Convert internal solution items to { piece: pieceId, anchor: {q,r}, rot }
-    return sol.map(p => ({ piece: p.pieceId, anchor: boardCells[p.anchorIdx], rot: p.rot }));
+    const placed = sol.map(p => ({
+      piece: p.pieceId,
+      anchor: boardCells[p.anchorIdx],
+      rot: p.rot,
+      mirror: placementsMeta[p.pIdx * META_STRIDE + 6] === 1
+    }));
+    return pinnedSolution.concat(placed);
   }
 
   function getSolutionCellSignature(sol) {
@@ -147,7 +410,7 @@ function solve(data) {
     const cellToPiece = [];
 
     for (const placement of sol) {
-      const base = placement.pIdx * 6;
+      const base = placement.pIdx * META_STRIDE;
       const tStart = placementsMeta[base + 4];
       const tLen = placementsMeta[base + 5];
 
@@ -163,23 +426,59 @@ function solve(data) {
   }
 
   const seenSignatures = new Set();
+  const fullOrder = expandCopies(pieceOrder);
+
+  // The backtracking runs on an explicit stack of frames so it can pause
+  // between slices and hand untried branches to other workers. A frame is
+  // one search node: the piece chosen there, its valid placements (next is
+  // the first one not tried yet) and whether the skip branch is still due.
+  // placed/skippedPi record how the frame was entered from its parent.
+  let stack = [];
+  let currentSolution = [];
+  let task = { path: [], skipped: [] };
+  // the rest of a task can't beat a full board; other tasks get pruned by the bound
+  let fullBoard = false;
+
+  function place(pIdx, pi) {
+    applyPlacementByIndex(pIdx);
+    const prevLastPlaced = lastPlaced[pi];
+    lastPlaced[pi] = pIdx;
+    const base = pIdx * META_STRIDE;
+    const pieceId = placementsMeta[base + 1];
+    const anchorIdx = placementsMeta[base + 2];
+    const rot = placementsMeta[base + 3];
+    currentSolution.push({ pieceId, anchorIdx, rot, pIdx });
+    return { pIdx, pi, prevLastPlaced };
+  }
 
-  function backtrack(remainingPieces, remainingSum, currentSolution, coverage) {
-    if (shouldStop) return true;
+  function unplace(placed) {
+    currentSolution.pop();
+    undoPlacementByIndex(placed.pIdx);
+    lastPlaced[placed.pi] = placed.prevLastPlaced;
+  }
 
+  // score the current state and set up its frame; null when there is
+  // nothing below it to search
+  function visit(remainingPieces, remainingSum, remainingWeight, coverage, weight) {
     searchCount++;
     const now = Date.now();
-    if (now - lastReportTime > 1000) {
+    if (now - lastReportTime > progressMs) {
       lastReportTime = now;
       postProgress();
     }
 
-    if (coverage > bestCoverage) {
+    const score = coverage * coverageWeight + weight;
+    if (score > bestScore) {
+      bestScore = score;
       bestCoverage = coverage;
       topSolutions = [exportSolution(currentSolution.slice())];
       seenSignatures.clear();
       seenSignatures.add(getSolutionCellSignature(currentSolution));
-    } else if (coverage === bestCoverage && coverage > 0) {
+      // the coordinator shows it and passes the score on to the other
+      // workers as UPDATE_BEST
+      lastReportTime = now;
+      postProgress(topSolutions[0]);
+    } else if (score === bestScore && score > 0) {
       // Found another solution tied for best
       const signature = getSolutionCellSignature(currentSolution);
       if (!seenSignatures.has(signature)) {
@@ -188,11 +487,52 @@ function solve(data) {
       }
     }
 
-    if (coverage >= boardSize) return true;    // optimistic bound
-    if (coverage + remainingSum <= bestCoverage) return false;
+    // a full board is optimal for plain coverage; weighted modes keep
+    // looking for a better set of pieces elsewhere
+    if (coverage >= boardSize) {
+      if (!weighted) fullBoard = true;
+      return null;
+    }
+    const reachable = coverage + Math.min(remainingSum, boardSize - coverage);
+    if (reachable * coverageWeight + weight + remainingWeight <= bestScore) return null;
+
+    if (remainingPieces.length === 0) return null;
+
+    // a state already searched through another order of placements
+    let lo = occupiedLo;
+    let hi = occupiedHi;
+    for (let ri = 0, k = 0; ri < remainingPieces.length; ri++) {
+      const pi = remainingPieces[ri];
+      k = ri > 0 && remainingPieces[ri - 1] === pi ? k + 1 : 0;
+      lo ^= copyKeysLo[copyStart[pi] + k];
+      hi ^= copyKeysHi[copyStart[pi] + k];
+      if (k === 0 && lastPlaced[pi] >= 0) {
+        lo ^= orderKeysLo[lastPlaced[pi]];
+        hi ^= orderKeysHi[lastPlaced[pi]];
+      }
+    }
+    const slot = (lo >>> 0) & TABLE_MASK;
+    const check = hi >>> 0;
+    tableLookups++;
+    if (tableCheck[slot] === check && tableGain[slot] >= 0 && score + tableGain[slot] <= bestScore) {
+      tableHits++;
+      return null;
+    }
+
+    // same bound without the cells in regions nothing left can fill
+    // (only coverage counts for it, so pure priority skips the work)
+    if (coverageWeight > 0) {
+      const wasted = unreachableCells(remainingPieces);
+      if (wasted > 0) {
+        const fillable = Math.min(remainingSum, boardSize - coverage - wasted);
+        if ((coverage + fillable) * coverageWeight + weight + remainingWeight <= bestScore) {
+          regionPrunes++;
+          return null;
+        }
+      }
+    }
 
     // Dynamic MRV: pick the remaining piece with the fewest currently-valid placements
-    if (remainingPieces.length === 0) return false;
 
     let bestRi = -1;
     let bestCount = Infinity;
@@ -200,21 +540,18 @@ function solve(data) {
     // Find piece with minimum number of valid placements (stop early if count >= bestCount)
     for (let ri = 0; ri < remainingPieces.length; ri++) {
       const pi = remainingPieces[ri];
+      if (ri > 0 && remainingPieces[ri - 1] === pi) continue; // same counts as the previous copy
       const pStart = piecePlacementStart[pi];
       const pCount = piecePlacementCount[pi];
-      let count = 0;
-      for (let off = 0; off < pCount; off++) {
-        const pIdx = pStart + off;
-        const base = pIdx * 6;
-        const tStart = placementsMeta[base + 4];
-        const tLen = placementsMeta[base + 5];
-        let ok = true;
-        for (let ti = tStart; ti < tStart + tLen; ti++) {
-          if (occupancy[placementsTargets[ti]] !== -1) { ok = false; break; }
-        }
-        if (ok) {
-          count++;
-          if (count >= bestCount) break; // no need to count further
+      let count = freeCount[pi];
+      if (count > 0 && lastPlaced[pi] !== -1) {
+        // a copy is down, so only placements after it are open
+        count = 0;
+        for (let off = firstOpenOffset(pi); off < pCount; off++) {
+          if (blocked[pStart + off] === 0) {
+            count++;
+            if (count >= bestCount) break; // no need to count further
+          }
         }
       }
       if (count > 0 && count < bestCount) {
@@ -225,7 +562,7 @@ function solve(data) {
 
     // If no remaining piece has any valid placement, nothing more to place
     if (bestRi === -1) {
-      return false;
+      return null;
     }
 
     // Compute full valid placement list for chosen piece (with adjacency scores)
@@ -233,16 +570,12 @@ function solve(data) {
     const chosenStart = piecePlacementStart[chosenPi];
     const chosenCount = piecePlacementCount[chosenPi];
     const valid = [];
-    for (let off = 0; off < chosenCount; off++) {
+    for (let off = firstOpenOffset(chosenPi); off < chosenCount; off++) {
       const pIdx = chosenStart + off;
-      const base = pIdx * 6;
+      if (blocked[pIdx] !== 0) continue;
+      const base = pIdx * META_STRIDE;
       const tStart = placementsMeta[base + 4];
       const tLen = placementsMeta[base + 5];
-      let ok = true;
-      for (let ti = tStart; ti < tStart + tLen; ti++) {
-        if (occupancy[placementsTargets[ti]] !== -1) { ok = false; break; }
-      }
-      if (!ok) continue;
       let adj = 0;
       for (let ti = tStart; ti < tStart + tLen; ti++) {
         adj += neighborsOccupiedCount(placementsTargets[ti]);
@@ -250,52 +583,438 @@ function solve(data) {
       valid.push({ pIdx, adj });
     }
 
-    if (valid.length === 0) return false;
+    if (valid.length === 0) return null;
     valid.sort((a, b) => b.adj - a.adj);
 
-    // Try placements for the chosen (most constrained) piece
-    for (let vi = 0; vi < valid.length; vi++) {
-      if (shouldStop) return true;
-      const pIdx = valid[vi].pIdx;
-      applyPlacementByIndex(pIdx, chosenPi);
-      const base = pIdx * 6;
-      const pieceId = placementsMeta[base + 1];
-      const anchorIdx = placementsMeta[base + 2];
-      const rot = placementsMeta[base + 3];
-      currentSolution.push({ pieceId, anchorIdx, rot, pIdx });
-      const newRemaining = remainingPieces.slice(0, bestRi).concat(remainingPieces.slice(bestRi + 1));
-      const newRemainingSum = remainingSum - pieces[chosenPi].size;
-      const stopped = backtrack(newRemaining, newRemainingSum, currentSolution, coverage + placementsMeta[base + 5]);
-      currentSolution.pop();
-      undoPlacementByIndex(pIdx);
-      if (stopped) return true;
+    const chosenWeight = pieces[chosenPi].weight || 0;
+    return {
+      remainingPieces, remainingSum, remainingWeight, coverage, weight, chosenPi, chosenWeight,
+      newRemaining: remainingPieces.slice(0, bestRi).concat(remainingPieces.slice(bestRi + 1)),
+      newRemainingSum: remainingSum - pieces[chosenPi].size,
+      newRemainingWeight: remainingWeight - chosenWeight,
+      valid: valid.map(v => v.pIdx),
+      next: 0,
+      // weighted modes also explore leaving the chosen piece out entirely
+      skip: weighted,
+      placed: null,
+      skippedPi: -1,
+      slot,
+      check,
+      // set once branches were given away, since then this worker never
+      // sees the whole subtree
+      shared: false
+    };
+  }
+
+  function begin(t) {
+    task = t;
+    stack = [];
+    currentSolution = [];
+    fullBoard = false;
+    occupied.fill(0);
+    occupiedLo = 0;
+    occupiedHi = 0;
+    blocked.fill(0);
+    freeCount.set(piecePlacementCount);
+    for (let i = 0; i < pinnedCells.length; i++) {
+      occupied[pinnedCells[i] >>> 5] |= 1 << (pinnedCells[i] & 31);
+      takeCell(pinnedCells[i]);
     }
-    return false;
+    lastPlaced.fill(-1);
+
+    // replay the task's path, then drop the pieces it left out (all of
+    // their remaining copies, since they are interchangeable)
+    let remaining = fullOrder.slice();
+    let coverage = pinnedCoverage;
+    let weight = 0;
+    for (const pIdx of t.path) {
+      const pi = placementsMeta[pIdx * META_STRIDE];
+      place(pIdx, pi);
+      remaining.splice(remaining.indexOf(pi), 1);
+      coverage += placementsMeta[pIdx * META_STRIDE + 5];
+      weight += pieces[pi].weight || 0;
+    }
+    remaining = remaining.filter(pi => !t.skipped.includes(pi));
+    const root = visit(remaining, sumRemainingSizes(remaining), sumRemainingWeights(remaining), coverage, weight);
+    if (root) stack.push(root);
   }
 
-  // initial split: firstPiece
-  const firstPieceIdx = pieceOrder[0];
-  const remainingAfterFirst = pieceOrder.slice(1);
-  const remainingAfterFirstSum = sumRemainingSizes(remainingAfterFirst);
+  // search until the task is done (true) or the slice is over (false)
+  function step(sliceEnd) {
+    let steps = 0;
+    while (stack.length > 0) {
+      if ((++steps & 255) === 0) {
+        checkLimits();
+        if (!shouldStop && Date.now() >= sliceEnd) return false;
+      }
+      // a stopped task keeps its stack for the checkpoint
+      if (shouldStop) break;
+      if (fullBoard) {
+        stack = [];
+        break;
+      }
 
-  for (let ip = 0; ip < assignedPlacementIndices.length; ip++) {
-    if (shouldStop) break;
-    const pIdx = assignedPlacementIndices[ip];
-    // apply initial placement by index
-    applyPlacementByIndex(pIdx, firstPieceIdx);
-    const base = pIdx * 6;
-    const pieceId = placementsMeta[base + 1] || pieces[firstPieceIdx].id;
-    const anchorIdx = placementsMeta[base + 2];
-    const rot = placementsMeta[base + 3];
+      const frame = stack[stack.length - 1];
+      if (frame.next < frame.valid.length) {
+        // Try placements for the chosen (most constrained) piece
+        const pIdx = frame.valid[frame.next++];
+        const placed = place(pIdx, frame.chosenPi);
+        const child = visit(frame.newRemaining, frame.newRemainingSum, frame.newRemainingWeight,
+          frame.coverage + placementsMeta[pIdx * META_STRIDE + 5], frame.weight + frame.chosenWeight);
+        if (child) {
+          child.placed = placed;
+          stack.push(child);
+        } else {
+          unplace(placed);
+        }
+      } else if (frame.skip) {
+        frame.skip = false;
+        const withoutPiece = frame.remainingPieces.filter(pi => pi !== frame.chosenPi);
+        const leftOut = frame.remainingPieces.length - withoutPiece.length;
+        const child = visit(withoutPiece, frame.remainingSum - leftOut * pieces[frame.chosenPi].size,
+          frame.remainingWeight - leftOut * frame.chosenWeight, frame.coverage, frame.weight);
+        if (child) {
+          child.skippedPi = frame.chosenPi;
+          stack.push(child);
+        }
+      } else {
+        stack.pop();
+        if (frame.placed) unplace(frame.placed);
+        // searched to the end: nothing below beats the current best
+        if (!frame.shared) {
+          tableCheck[frame.slot] = frame.check;
+          tableGain[frame.slot] = bestScore - (frame.coverage * coverageWeight + frame.weight);
+        }
+      }
+    }
+    return true;
+  }
+
+  // Give away untried branches at the shallowest frame that has any, since
+  // those are the biggest subtrees. Branches below a frame we are still
+  // busy with are split in half; the deepest frame keeps at least half.
+  function donate() {
+    const path = task.path.slice();
+    const skipped = task.skipped.slice();
+    for (let d = 0; d < stack.length; d++) {
+      const frame = stack[d];
+      if (d > 0) {
+        if (frame.placed) path.push(frame.placed.pIdx);
+        else skipped.push(frame.skippedPi);
+      }
+      const untried = frame.valid.length - frame.next;
+      const busyBelow = d < stack.length - 1;
+      const give = busyBelow ? Math.ceil(untried / 2) : Math.floor(untried / 2);
+      const giveSkip = frame.skip && (busyBelow || untried > 0);
+      if (give === 0 && !giveSkip) continue;
+      for (let a = 0; a <= d; a++) stack[a].shared = true;
+
+      const tasks = frame.valid.slice(frame.valid.length - give)
+        .map(pIdx => ({ path: path.concat([pIdx]), skipped: skipped.slice() }));
+      frame.valid.length -= give;
+      if (giveSkip) {
+        tasks.push({ path: path.slice(), skipped: skipped.concat([frame.chosenPi]) });
+        frame.skip = false;
+      }
+      return tasks;
+    }
+    return [];
+  }
+
+  // all branches of the current task not searched yet, as tasks
+  function frontier() {
+    const tasks = [];
+    const path = task.path.slice();
+    const skipped = task.skipped.slice();
+    stack.forEach((frame, d) => {
+      if (d > 0) {
+        if (frame.placed) path.push(frame.placed.pIdx);
+        else skipped.push(frame.skippedPi);
+      }
+      for (let vi = frame.next; vi < frame.valid.length; vi++) {
+        tasks.push({ path: path.concat([frame.valid[vi]]), skipped: skipped.slice() });
+      }
+      if (frame.skip) tasks.push({ path: path.slice(), skipped: skipped.concat([frame.chosenPi]) });
+    });
+    return tasks;
+  }
+
+  return { begin, step, donate, frontier };
+}
+
+// Exact cover mode: Algorithm X with dancing links (DLX). Columns are the
+// free board cells not taken by pinned pieces, rows are placements, and a
+// tiling covers every column exactly once. Piece copies are counted on the
+// side instead of getting a column each, so identical copies never show up
+// as permuted duplicates; since the total piece area equals the free area,
+// a full cover always uses every copy exactly.
+function createExactSearch(data) {
+  const { pieces, boardSize, boardCells } = data;
+  const placementsMeta = data.placementsMeta instanceof Int32Array ? data.placementsMeta : new Int32Array(data.placementsMeta);
+  const placementsTargets = data.placementsTargets instanceof Int32Array ? data.placementsTargets : new Int32Array(data.placementsTargets);
+  const pinnedSolution = data.pinnedSolution || [];
+  const pinnedCells = data.pinnedCells ? new Int32Array(data.pinnedCells) : new Int32Array(0);
+  // how many tilings to send back (all of them are counted)
+  const keepLimit = data.keepLimit === undefined ? Infinity : data.keepLimit;
+
+  console.log(`worker ${workerId} ready for exact cover`);
+  let lastReportTime = Date.now();
+
+  // column headers: 0 is the root, 1..numCols one per free cell
+  const colOfCell = new Int32Array(boardSize);
+  for (let i = 0; i < pinnedCells.length; i++) colOfCell[pinnedCells[i]] = -1;
+  let numCols = 0;
+  for (let c = 0; c < boardSize; c++) {
+    if (colOfCell[c] !== -1) colOfCell[c] = ++numCols;
+  }
+
+  const numPlacements = placementsMeta.length / META_STRIDE;
+  let numNodes = numCols + 1;
+  for (let pIdx = 0; pIdx < numPlacements; pIdx++) {
+    numNodes += placementsMeta[pIdx * META_STRIDE + 5];
+  }
+  const L = new Int32Array(numNodes);
+  const R = new Int32Array(numNodes);
+  const U = new Int32Array(numNodes);
+  const D = new Int32Array(numNodes);
+  const C = new Int32Array(numNodes);
+  const rowOf = new Int32Array(numNodes);
+  const S = new Int32Array(numCols + 1);
+  for (let i = 0; i <= numCols; i++) {
+    L[i] = i - 1;
+    R[i] = i + 1;
+    U[i] = i;
+    D[i] = i;
+    C[i] = i;
+  }
+  L[0] = numCols;
+  R[numCols] = 0;
+
+  // one row per placement of a piece that still has copies to place
+  const rowFirst = new Int32Array(numPlacements).fill(-1);
+  let node = numCols + 1;
+  for (let pIdx = 0; pIdx < numPlacements; pIdx++) {
+    const base = pIdx * META_STRIDE;
+    if (!(pieces[placementsMeta[base]].count > 0)) continue;
+    const tStart = placementsMeta[base + 4];
     const tLen = placementsMeta[base + 5];
-    const initialSolution = [{ pieceId, anchorIdx, rot, pIdx }];
-    backtrack(remainingAfterFirst, remainingAfterFirstSum, initialSolution, tLen);
-    // undo initial placement fully
-    undoPlacementByIndex(pIdx);
-    // ensure depth reset
-    depth = 0;
+    let first = -1;
+    for (let ti = tStart; ti < tStart + tLen; ti++) {
+      const col = colOfCell[placementsTargets[ti]];
+      C[node] = col;
+      rowOf[node] = pIdx;
+      // append to the bottom of the column
+      U[node] = U[col];
+      D[node] = col;
+      D[U[col]] = node;
+      U[col] = node;
+      S[col]++;
+      // append to the end of the row
+      if (first === -1) {
+        first = node;
+        L[node] = node;
+        R[node] = node;
+      } else {
+        L[node] = L[first];
+        R[node] = first;
+        R[L[first]] = node;
+        L[first] = node;
+      }
+      node++;
+    }
+    rowFirst[pIdx] = first;
+  }
+
+  function cover(c) {
+    R[L[c]] = R[c];
+    L[R[c]] = L[c];
+    for (let i = D[c]; i !== c; i = D[i]) {
+      for (let j = R[i]; j !== i; j = R[j]) {
+        D[U[j]] = D[j];
+        U[D[j]] = U[j];
+        S[C[j]]--;
+      }
+    }
+  }
+
+  function uncover(c) {
+    for (let i = U[c]; i !== c; i = U[i]) {
+      for (let j = L[i]; j !== i; j = L[j]) {
+        S[C[j]]++;
+        D[U[j]] = j;
+        U[D[j]] = j;
+      }
+    }
+    R[L[c]] = c;
+    L[R[c]] = c;
+  }
+
+  const remaining = new Int32Array(pieces.length);
+  for (let pi = 0; pi < pieces.length; pi++) remaining[pi] = pieces[pi].count || 0;
+  const chosen = [];
+
+  function exportTiling() {
+    const placed = chosen.map(pIdx => {
+      const base = pIdx * META_STRIDE;
+      return {
+        piece: placementsMeta[base + 1],
+        anchor: boardCells[placementsMeta[base + 2]],
+        rot: placementsMeta[base + 3],
+        mirror: placementsMeta[base + 6] === 1
+      };
+    });
+    return pinnedSolution.concat(placed);
+  }
+
+  function postProgress(solution) {
+    self.postMessage({ type: 'PROGRESS', data: { searchCount, tilings, solution, workerId } });
+  }
+
+  function pieceOfRow(r) {
+    return placementsMeta[rowOf[r] * META_STRIDE];
+  }
+
+  function applyRow(r) {
+    remaining[pieceOfRow(r)]--;
+    chosen.push(rowOf[r]);
+    for (let j = R[r]; j !== r; j = R[j]) cover(C[j]);
+  }
+
+  function undoRow(r) {
+    for (let j = L[r]; j !== r; j = L[j]) uncover(C[j]);
+    chosen.pop();
+    remaining[pieceOfRow(r)]++;
+  }
+
+  // Frames keep the covered column c, the row r currently tried in it and
+  // the row to stop at (the column header, or the first row given away).
+  let stack = [];
+  // rows of the task's path, covered before the search starts
+  let taskRows = [];
+
+  function visit() {
+    searchCount++;
+    const now = Date.now();
+    if (now - lastReportTime > progressMs) {
+      lastReportTime = now;
+      postProgress();
+    }
+
+    if (R[0] === 0) {
+      tilings++;
+      bestCoverage = boardSize;
+      if (topSolutions.length < keepLimit) topSolutions.push(exportTiling());
+      // the first tiling is worth showing right away
+      if (tilings === 1) {
+        lastReportTime = now;
+        postProgress(topSolutions[0] || exportTiling());
+      }
+      return null;
+    }
+
+    // most constrained cell first
+    let c = R[0];
+    for (let j = R[c]; j !== 0; j = R[j]) {
+      if (S[j] < S[c]) c = j;
+    }
+    if (S[c] === 0) return null;
+
+    cover(c);
+    return { c, r: c, end: c, applied: false };
+  }
+
+  // the task's path placements all cover cells the search has not decided
+  // yet, and sibling tasks differ in how they cover the same cell, so
+  // tasks never overlap
+  function begin(t) {
+    stack = [];
+    taskRows = [];
+    for (const pIdx of t.path) {
+      const r = rowFirst[pIdx];
+      if (r === -1 || remaining[pieceOfRow(r)] === 0) return;
+      cover(C[r]);
+      applyRow(r);
+      taskRows.push(r);
+    }
+    const root = visit();
+    if (root) stack.push(root);
+  }
+
+  function endTask() {
+    while (stack.length > 0) {
+      const frame = stack.pop();
+      if (frame.applied) undoRow(frame.r);
+      uncover(frame.c);
+    }
+    for (let k = taskRows.length - 1; k >= 0; k--) {
+      undoRow(taskRows[k]);
+      uncover(C[taskRows[k]]);
+    }
+    taskRows = [];
+  }
+
+  function step(sliceEnd) {
+    let steps = 0;
+    while (stack.length > 0) {
+      if ((++steps & 255) === 0) {
+        checkLimits();
+        if (!shouldStop && Date.now() >= sliceEnd) return false;
+      }
+      if (shouldStop) break;
+
+      const frame = stack[stack.length - 1];
+      if (frame.applied) {
+        undoRow(frame.r);
+        frame.applied = false;
+      }
+      let r = D[frame.r];
+      while (r !== frame.end && remaining[pieceOfRow(r)] === 0) r = D[r];
+      if (r === frame.end) {
+        stack.pop();
+        uncover(frame.c);
+        continue;
+      }
+      frame.r = r;
+      applyRow(r);
+      frame.applied = true;
+      const child = visit();
+      if (child) stack.push(child);
+    }
+    // a stopped task keeps its stack for the checkpoint
+    if (!shouldStop) endTask();
+    return true;
+  }
+
+  // Give away untried rows of the shallowest frame that has any. Copy
+  // counts are left for the receiving worker to check, since deeper frames
+  // have used copies that are free again at that level.
+  function donate() {
+    for (let d = 0; d < stack.length; d++) {
+      const frame = stack[d];
+      const untried = [];
+      for (let r = D[frame.r]; r !== frame.end; r = D[r]) untried.push(r);
+      const give = d < stack.length - 1 ? Math.ceil(untried.length / 2) : Math.floor(untried.length / 2);
+      if (give === 0) continue;
+
+      const given = untried.slice(untried.length - give);
+      frame.end = given[0];
+      const path = chosen.slice(0, taskRows.length + d);
+      return given.map(r => ({ path: path.concat([rowOf[r]]), skipped: [] }));
+    }
+    return [];
+  }
+
+  // all rows of the current task not tried yet, as tasks
+  function frontier() {
+    const tasks = [];
+    stack.forEach((frame, d) => {
+      const path = chosen.slice(0, taskRows.length + d);
+      for (let r = D[frame.r]; r !== frame.end; r = D[r]) {
+        tasks.push({ path: path.concat([rowOf[r]]), skipped: [] });
+      }
+    });
+    return tasks;
   }
 
-  // final report
-  self.postMessage({ type: 'COMPLETE', data: { solutions: topSolutions, coverage: bestCoverage, searchCount, workerId } });
+  return { begin, step, donate, frontier };
 }